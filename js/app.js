@@ -1,16 +1,22 @@
 // Main application module
-import { initRouter, load, navigateTo } from "./router.js";
+import { initRouter, load, navigating, routeHref, routeStore } from "./router.js";
 import { closeModal, showModal } from "./utils/modal.js";
-import { createStore } from "./lib/h.js";
+import { createStore, h } from "./lib/h.js";
 
 // Dynamic route definitions with lazy loading - super clean!
 // Option 1: Using the simple load() helper
+// Routes with a title, description or meta use the record form
 const routes = {
-  home: load("home"),
-  about: load("about"),
-  tasks: load("tasks"),
-  table: load("table"),
-  "": load("home"), // Default route
+  home: { handler: load("home"), title: "Home" },
+  about: {
+    handler: load("about"),
+    title: "About",
+    description: "What the No-Framework App starter includes and how it works.",
+  },
+  tasks: { handler: load("tasks"), title: "Tasks" },
+  "tasks/:id": { handler: load("tasks"), title: ({ params }) => `Task #${params.id}` }, // Deep link to a single task
+  table: { handler: load("table"), title: "Team Directory" }, // Accepts ?sort=<column>&dir=asc|desc
+  "": { handler: load("home"), title: "Home" }, // Default route
 };
 
 // Option 2: Even more declarative with createRoutes()
@@ -28,7 +34,14 @@ const routes = {
 //   profile: {
 //     view: 'userProfile',
 //     path: './views/user/profile.js',
-//     function: 'renderUserProfile'
+//     function: 'renderUserProfile',
+//     title: 'Profile', // also: description, meta: { requiresAuth: true }
+//     prefetch: 'idle', // load the view when the browser is idle ('hover', 'eager')
+//     beforeEnter: () => isLoggedIn() || '/login' // cancel with false, redirect with a path
+//   },
+//   settings: {
+//     view: 'settings', // renders createOutlet() for its children
+//     children: { '': 'settingsGeneral', profile: 'settingsProfile' }
 //   }
 // });
 
@@ -43,15 +56,24 @@ export const appStore = createStore({
 function initApp() {
   console.log("🚀 Initializing application...");
 
-  // Initialize the router
-  initRouter(routes);
+  // Initialize the router; views load as soon as a link to them is hovered or focused.
+  // Views that take longer than 200ms show the loading placeholder.
+  initRouter(routes, {
+    prefetch: "hover",
+    loading: () => h("div", { class: "route-loading", role: "status" }, "Loading..."),
+  });
+
+  // Point the nav links at their routes' URLs, which depend on the router mode and base path
+  document.querySelectorAll(".nav-btn").forEach((link) => {
+    link.setAttribute("href", routeHref(link.dataset.view));
+  });
 
   // Close modal when clicking the close button or outside the modal
   const closeBtn = document.querySelector(".close-btn");
   const modal = document.getElementById("modal");
 
   if (closeBtn) {
-    closeBtn.addEventListener("click", closeModal);
+    closeBtn.addEventListener("click", () => closeModal());
   }
 
   if (modal) {
@@ -62,13 +84,17 @@ function initApp() {
     });
   }
 
-  // Navigation button click handlers using History API
-  document.querySelectorAll(".nav-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const view = btn.dataset.view;
-      navigateTo(view);
-      appStore.set((state) => ({ ...state, currentView: view }));
-    });
+  // Show a progress bar in the header while a navigation is slow
+  const header = document.querySelector(".app-header");
+  navigating.subscribe(({ pending }) => {
+    header?.classList.toggle("is-navigating", pending);
+  });
+
+  // Nav links are plain links handled by the router; reflect the current route
+  routeStore.subscribe((route) => {
+    const view = route.path.split("/")[0];
+    updateActiveNav(view);
+    appStore.update({ currentView: view });
   });
 
   // Subscribe to store changes
@@ -77,25 +103,16 @@ function initApp() {
   });
 }
 
-// Loading state management
-function showLoadingState() {
-  const loadingEl = document.getElementById("loading");
-  if (loadingEl) {
-    loadingEl.style.display = "block";
-  }
-}
-
-function hideLoadingState() {
-  const loadingEl = document.getElementById("loading");
-  if (loadingEl) {
-    loadingEl.style.display = "none";
-  }
-}
-
-// Update active navigation button
-function updateActiveNav(activeBtn) {
-  document.querySelectorAll(".nav-btn").forEach((btn) => {
-    btn.classList.toggle("active", btn === activeBtn);
+// Update active navigation link
+function updateActiveNav(view) {
+  document.querySelectorAll(".nav-btn").forEach((link) => {
+    const active = link.dataset.view === view;
+    link.classList.toggle("active", active);
+    if (active) {
+      link.setAttribute("aria-current", "page");
+    } else {
+      link.removeAttribute("aria-current");
+    }
   });
 }
 
@@ -1,72 +1,137 @@
 /**
  * @fileoverview Hyperscript-style DOM helper and tiny state utilities.
- * Provides `h`, `fragment`, mount/clear, event delegation `on`, query helpers `$`/`$$`, and a minimal `createStore`.
+ * Provides `h`, `fragment`, mount/clear, event delegation `on`, query helpers `$`/`$$`, a minimal `createStore`,
+ * read-only derived stores via `computed`, component lifecycles (`component`, `onMount`, `onCleanup`)
+ * and error handling (`errorBoundary`, `onError`).
  *
  * Notes:
  * - The `h()` return value is augmented with delegation helpers (`on`, `click(selector, handler)`, `input`, `change`, `submit`, `keydown`, `keyup`).
  */
 // Hyperscript-style DOM helper and tiny state utilities
+import { enter, leave } from "./transition.js";
 
 /**
  * @typedef {Object} HProps
- * @property {string|string[]} [class] CSS class(es) to apply.
- * @property {string|string[]} [className] CSS class(es) to apply (alias of `class`).
+ * @property {string|string[]|Object<string, boolean>} [class] CSS class(es) to apply. Objects keep the keys with truthy values.
+ * @property {string|string[]|Object<string, boolean>} [className] CSS class(es) to apply (alias of `class`).
  * @property {string|Object<string, string|number>} [style] Inline styles. Accepts a CSS string or a style object.
  * @property {Object<string, string>} [dataset] Values assigned to `element.dataset`.
  * @property {(el: HTMLElement) => void} [ref] Callback invoked with the created element.
  * @property {string} [html] Sets `innerHTML` directly (use with caution).
- * @description Any property starting with `on` and whose value is a function is treated as an event listener (e.g., `onClick`, `onInput`). Any other key is set via `setAttribute`.
+ * @property {"html"|"svg"|"math"|string} [namespace] Namespace for the element (`"svg"`, `"math"`, `"html"` or a namespace URI). Inferred from the tag when omitted.
+ * @property {string|number} [key] Identity used by reactive `h.map` bindings to reuse this node across updates. Not written to the DOM.
+ * @description Any property starting with `on` and whose value is a function is treated as an event listener (e.g., `onClick`, `onInput`).
+ * Live form state (`value`, `checked`, `selected`, `disabled`, `indeterminate`, ...) is assigned as a DOM property.
+ * Any other key is set via `setAttribute`: `false` omits the attribute and `true` sets it empty (ARIA and data attributes keep `"true"`/`"false"`).
+ * Prefixed names such as `xlink:href` or `xml:lang` are set in their XML namespace.
+ * Use `prop:name` to force a property assignment or `attr:name` to force a raw attribute.
+ * Any value (or `style` object entry) may be an `h.link` descriptor to keep it in sync with a store.
  */
 
 /**
  * @typedef {Object} LinkOptions
- * @property {(value: unknown, state: Record<string, unknown>) => string} [format]
- * Formatter applied before writing the value to the DOM.
+ * @property {(value: unknown, state: Record<string, unknown>) => unknown} [format]
+ * Formatter applied before writing the value to the DOM. Text bindings stringify the result;
+ * prop bindings receive it as-is (e.g. a boolean for `disabled`, an array or object for `class`).
  */
 
 const LINK_DESCRIPTOR_SYMBOL = Symbol("h.link.descriptor");
 const MAP_DESCRIPTOR_SYMBOL = Symbol("h.map.descriptor");
 let autoComponentIdCounter = 0;
+const NAMESPACES = {
+  html: "http://www.w3.org/1999/xhtml",
+  svg: "http://www.w3.org/2000/svg",
+  math: "http://www.w3.org/1998/Math/MathML",
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+  xmlns: "http://www.w3.org/2000/xmlns/",
+};
+// Tags that only exist in SVG. Tags shared with HTML (a, title, style, script)
+// stay HTML unless a `namespace` prop says otherwise.
+const SVG_TAGS = new Set([
+  "svg", "g", "path", "circle", "ellipse", "line", "polyline", "polygon",
+  "rect", "text", "tspan", "textPath", "defs", "use", "symbol", "marker",
+  "mask", "pattern", "clipPath", "linearGradient", "radialGradient", "stop",
+  "filter", "foreignObject", "desc", "metadata", "switch", "view", "image",
+  "animate", "animateMotion", "animateTransform", "set", "mpath",
+]);
+const MATHML_TAGS = new Set([
+  "math", "mi", "mn", "mo", "ms", "mtext", "mrow", "mfrac", "msqrt", "mroot",
+  "msub", "msup", "msubsup", "munder", "mover", "munderover", "mtable", "mtr",
+  "mtd", "mspace", "mstyle", "mpadded", "mphantom", "menclose", "merror",
+  "semantics", "annotation", "annotation-xml",
+]);
+// Props that reflect live element state and must be assigned as DOM properties
+const PROPERTY_KEYS = new Set([
+  "value", "checked", "selected", "disabled", "indeterminate", "multiple",
+  "muted", "readOnly", "required", "hidden", "selectedIndex",
+  "defaultValue", "defaultChecked", "textContent", "innerText",
+]);
+// Attributes where `false` is a meaningful value rather than "absent"
+const ENUMERATED_ATTRIBUTE = /^(aria-|data-)|^(draggable|spellcheck|contenteditable)$/;
+// Keys assigned through the `key` prop, read back by keyed `h.map` bindings
+const nodeKeys = new WeakMap();
+// `h.map` items running their leave transition before removal
+const leavingNodes = new WeakSet();
 
 /**
  * Creates a DOM element with attributes, styles, dataset, refs, event listeners, and children.
  * The returned element is augmented with delegation helpers: `on`,
  * `click(selector, handler)`, `input`, `change`, `submit`, `keydown`, and `keyup`.
  *
- * @param {string} tag - Tag name, e.g., `"div"`.
+ * When `tag` is a function, it is rendered as a component (see {@link component}) with
+ * `(props, children)` and its root node is returned.
+ *
+ * SVG and MathML tags (`svg`, `path`, `math`, `mi`, ...) are created in their namespace
+ * automatically; pass `namespace: "svg"` for tags shared with HTML such as `a` or `title`.
+ *
+ * @param {string|((props: Object, children: Array<any>) => Node)} tag - Tag name, e.g., `"div"`, or a component function.
  * @param {HProps} [props={}] - Properties and attributes for the element.
  * @param {...(string|number|boolean|Node|Array<any>)} children - Children to append. Arrays are flattened; `null`/`undefined`/`false` are ignored.
  * @returns {HTMLElement} The created element (augmented with delegation helpers).
  * @example
  * const btn = h('button', { className: 'primary', onClick: () => alert('OK') }, 'Click');
+ *
+ * @example
+ * const icon = h('svg', { viewBox: '0 0 24 24', width: 24, height: 24 }, [
+ *   h('use', { 'xlink:href': '#icon-check' }),
+ * ]);
  */
 export function h(tag, props = {}, ...children) {
-  const el = document.createElement(tag);
+  if (typeof tag === "function") {
+    return renderComponent(tag, [props ?? {}, children.flat()]);
+  }
+  const namespace = resolveNamespace(tag, props);
+  const el =
+    namespace === NAMESPACES.html
+      ? document.createElement(tag)
+      : document.createElementNS(namespace, tag);
+  // Work that needs the children in place: <select> values and prop bindings
+  const deferred = [];
 
   if (props && typeof props === "object") {
     for (const [key, val] of Object.entries(props)) {
       if (val == null) continue;
-      if (key === "class" || key === "className") {
-        el.className = Array.isArray(val)
-          ? val.filter(Boolean).join(" ")
-          : String(val);
-      } else if (key === "style") {
-        if (typeof val === "string") {
-          el.setAttribute("style", val);
-        } else if (val && typeof val === "object") {
-          Object.assign(el.style, val);
+      if (key === "namespace" || key === "xmlns") continue;
+      if (isLinkDescriptor(val)) {
+        deferred.push(() =>
+          bindProp(el, val, (next) => applyProp(el, key, next))
+        );
+      } else if (key === "style" && typeof val === "object") {
+        for (const [name, styleVal] of Object.entries(val)) {
+          if (isLinkDescriptor(styleVal)) {
+            deferred.push(() =>
+              bindProp(el, styleVal, (next) => setStyleProperty(el, name, next))
+            );
+          } else {
+            setStyleProperty(el, name, styleVal);
+          }
         }
-      } else if (key === "dataset" && val && typeof val === "object") {
-        Object.assign(el.dataset, val);
-      } else if (key === "ref" && typeof val === "function") {
-        // ref callback
-        val(el);
-      } else if (key === "html") {
-        el.innerHTML = val;
-      } else if (key.startsWith("on") && typeof val === "function") {
-        el.addEventListener(key.slice(2).toLowerCase(), val);
+      } else if (PROPERTY_KEYS.has(key) && el.tagName === "SELECT") {
+        // A <select> can only take its value once its options exist
+        deferred.push(() => applyProp(el, key, val));
       } else {
-        el.setAttribute(key, String(val));
+        applyProp(el, key, val);
       }
     }
   }
@@ -79,8 +144,8 @@ export function h(tag, props = {}, ...children) {
       const descriptor = child;
       const componentId = ensureElementId(el);
       const textNode = document.createTextNode("");
-      const binding = createLinkBinding(descriptor, textNode, componentId);
-      descriptor.store.__registerBinding(descriptor.key, binding);
+      const binding = guardBinding(createLinkBinding(descriptor, textNode, componentId));
+      track(descriptor.store.__registerBinding(descriptor.key, binding));
       el.appendChild(textNode);
     } else if (isMapDescriptor(child)) {
       const descriptor = child;
@@ -88,8 +153,8 @@ export function h(tag, props = {}, ...children) {
       const { start, end } = createMapAnchors(componentId, descriptor.key);
       el.appendChild(start);
       el.appendChild(end);
-      const binding = createMapBinding(descriptor, start, end, componentId);
-      descriptor.store.__registerBinding(descriptor.key, binding);
+      const binding = guardBinding(createMapBinding(descriptor, start, end, componentId));
+      track(descriptor.store.__registerBinding(descriptor.key, binding));
     } else if (child instanceof Node) {
       el.appendChild(child);
     } else {
@@ -98,6 +163,7 @@ export function h(tag, props = {}, ...children) {
   };
 
   children.forEach(append);
+  deferred.forEach((run) => run());
 
   // Attach delegation methods directly to the element
   // Store original click method to avoid conflicts
@@ -122,6 +188,147 @@ export function h(tag, props = {}, ...children) {
   return el;
 }
 
+/**
+ * Picks the namespace for a new element: an explicit `namespace`/`xmlns` prop wins,
+ * otherwise SVG and MathML tags are recognized by name.
+ *
+ * @param {string} tag - Tag name passed to `h()`.
+ * @param {HProps} [props] - Element props.
+ * @returns {string} Namespace URI.
+ */
+function resolveNamespace(tag, props) {
+  const explicit = props && (props.namespace ?? props.xmlns);
+  if (explicit) return NAMESPACES[explicit] || explicit;
+  if (SVG_TAGS.has(tag) || /^fe[A-Z]/.test(tag)) return NAMESPACES.svg;
+  if (MATHML_TAGS.has(tag)) return NAMESPACES.math;
+  return NAMESPACES.html;
+}
+
+/**
+ * Writes an attribute, honoring `xlink:`, `xml:` and `xmlns:` prefixes.
+ *
+ * @param {Element} el - Target element.
+ * @param {string} name - Attribute name as given in props (case is preserved).
+ * @param {unknown} value - Attribute value.
+ * @returns {void}
+ */
+function setAttribute(el, name, value) {
+  const separator = name.indexOf(":");
+  const prefix = separator > 0 ? name.slice(0, separator) : "";
+  if (prefix === "xlink" || prefix === "xml" || prefix === "xmlns") {
+    el.setAttributeNS(NAMESPACES[prefix], name, String(value));
+  } else {
+    el.setAttribute(name, String(value));
+  }
+}
+
+/**
+ * Applies a single prop to an element. Also used to re-apply props bound with `h.link`,
+ * in which case `null`/`undefined` clear the previous value.
+ *
+ * @param {Element} el - Target element.
+ * @param {string} key - Prop name.
+ * @param {unknown} val - Prop value.
+ * @returns {void}
+ */
+function applyProp(el, key, val) {
+  if (key === "class" || key === "className") {
+    const className = formatClassName(val);
+    // SVG/MathML expose `className` as a read-only SVGAnimatedString
+    if (el.namespaceURI === NAMESPACES.html) el.className = className;
+    else el.setAttribute("class", className);
+  } else if (key === "style") {
+    if (val && typeof val === "object") {
+      Object.entries(val).forEach(([name, styleVal]) =>
+        setStyleProperty(el, name, styleVal)
+      );
+    } else if (val == null || val === false) {
+      el.removeAttribute("style");
+    } else {
+      el.setAttribute("style", String(val));
+    }
+  } else if (key === "dataset" && val && typeof val === "object") {
+    Object.assign(el.dataset, val);
+  } else if (key === "ref" && typeof val === "function") {
+    // ref callback
+    val(el);
+  } else if (key === "html") {
+    el.innerHTML = val ?? "";
+  } else if (key === "key") {
+    nodeKeys.set(el, val);
+  } else if (key.startsWith("on") && typeof val === "function") {
+    el.addEventListener(key.slice(2).toLowerCase(), val);
+  } else if (key.startsWith("prop:")) {
+    el[key.slice(5)] = val;
+  } else if (key.startsWith("attr:")) {
+    if (val == null) el.removeAttribute(key.slice(5));
+    else setAttribute(el, key.slice(5), val);
+  } else if (PROPERTY_KEYS.has(key) && key in el) {
+    el[key] = val;
+  } else {
+    applyAttribute(el, key, val);
+  }
+}
+
+/**
+ * Normalizes a class prop: strings pass through, arrays drop falsy entries and
+ * objects keep the keys whose value is truthy.
+ *
+ * @param {string|Array<string|false|null|undefined>|Object<string, unknown>|null|undefined} val - Class prop value.
+ * @returns {string} Class attribute value.
+ */
+function formatClassName(val) {
+  if (val == null || val === false) return "";
+  if (Array.isArray(val)) return val.filter(Boolean).join(" ");
+  if (typeof val === "object") {
+    return Object.keys(val)
+      .filter((name) => val[name])
+      .join(" ");
+  }
+  return String(val);
+}
+
+/**
+ * Sets or clears one inline style property. Kebab-case names and custom
+ * properties (`--accent`) go through `setProperty`.
+ *
+ * @param {Element} el - Target element.
+ * @param {string} name - Style property name.
+ * @param {unknown} value - Style value; `null`/`undefined`/`false` clear it.
+ * @returns {void}
+ */
+function setStyleProperty(el, name, value) {
+  const cleared = value == null || value === false;
+  if (name.includes("-")) {
+    if (cleared) el.style.removeProperty(name);
+    else el.style.setProperty(name, String(value));
+  } else {
+    el.style[name] = cleared ? "" : value;
+  }
+}
+
+/**
+ * Applies a plain prop as an attribute: `false` removes it, `true` sets it empty,
+ * except for ARIA, data and enumerated attributes, which keep `"true"`/`"false"`.
+ *
+ * @param {Element} el - Target element.
+ * @param {string} name - Attribute name.
+ * @param {unknown} value - Prop value.
+ * @returns {void}
+ */
+function applyAttribute(el, name, value) {
+  if (value == null) {
+    el.removeAttribute(name);
+    return;
+  }
+  if (typeof value === "boolean" && !ENUMERATED_ATTRIBUTE.test(name)) {
+    if (value) setAttribute(el, name, "");
+    else el.removeAttribute(name);
+    return;
+  }
+  setAttribute(el, name, value);
+}
+
 /**
  * Determines whether the provided value is a link descriptor produced by `h.link`.
  *
@@ -152,13 +359,22 @@ function isMapDescriptor(value) {
  * @returns {string} String representation for the DOM text node.
  */
 function formatLinkedValue(value, state, formatter) {
-  if (typeof formatter === "function") {
-    const formatted = formatter(value, state);
-    if (formatted == null) return "";
-    return String(formatted);
-  }
-  if (value == null) return "";
-  return String(value);
+  const formatted = resolveLinkedValue(value, state, formatter);
+  if (formatted == null) return "";
+  return String(formatted);
+}
+
+/**
+ * Runs the optional formatter of a linked binding without stringifying the result,
+ * so prop bindings can receive booleans, arrays or objects.
+ *
+ * @param {unknown} value - Current store value for the bound key.
+ * @param {Record<string, unknown>} state - Complete store state.
+ * @param {LinkOptions['format']} [formatter] - Optional formatter.
+ * @returns {unknown} Value to apply.
+ */
+function resolveLinkedValue(value, state, formatter) {
+  return typeof formatter === "function" ? formatter(value, state) : value;
 }
 
 /**
@@ -207,13 +423,49 @@ function createLinkBinding(descriptor, node, componentId) {
   };
 }
 
-function clearNodesBetween(start, end) {
-  let current = start.nextSibling;
-  while (current && current !== end) {
-    const next = current.nextSibling;
-    current.remove();
-    current = next;
-  }
+/**
+ * Creates a binding record that keeps a prop (attribute, class, style or DOM property)
+ * of an element in sync with the store.
+ *
+ * @param {{ store: { __unregisterBinding: (key: string, binding: BindingRecord) => void }, key: string, formatter?: LinkOptions['format'] }} descriptor
+ * Descriptor produced by {@link link}.
+ * @param {Element} element - Element whose prop is bound.
+ * @param {(value: unknown) => void} apply - Writes the formatted value to the element.
+ * @param {string} componentId - Identifier of the host element for housekeeping purposes.
+ * @returns {BindingRecord} Binding record ready to be registered in the store.
+ */
+function createPropBinding(descriptor, element, apply, componentId) {
+  return {
+    node: element,
+    formatter: descriptor.formatter,
+    store: descriptor.store,
+    key: descriptor.key,
+    componentId,
+    wasConnected: false,
+    update(value, state) {
+      if (this.node.isConnected) {
+        this.wasConnected = true;
+      } else if (this.wasConnected) {
+        this.store.__unregisterBinding(this.key, this);
+        return;
+      }
+      apply(resolveLinkedValue(value, state, this.formatter));
+    },
+  };
+}
+
+/**
+ * Registers a prop binding for an `h.link` descriptor used as a prop value.
+ *
+ * @param {Element} el - Element owning the prop.
+ * @param {{ store: { __registerBinding: Function }, key: string }} descriptor - Link descriptor.
+ * @param {(value: unknown) => void} apply - Writes the formatted value to the element.
+ * @returns {void}
+ */
+function bindProp(el, descriptor, apply) {
+  const componentId = ensureElementId(el);
+  const binding = guardBinding(createPropBinding(descriptor, el, apply, componentId));
+  track(descriptor.store.__registerBinding(descriptor.key, binding));
 }
 
 function renderIterableToFragment(iterable, mapper) {
@@ -235,23 +487,272 @@ function isIterable(value) {
 }
 
 function createMapAnchors(componentId, key) {
+  const label = describeBindingKey(key);
   return {
-    start: document.createComment(`h.map:${componentId}:${key}:start`),
-    end: document.createComment(`h.map:${componentId}:${key}:end`),
+    start: document.createComment(`h.map:${componentId}:${label}:start`),
+    end: document.createComment(`h.map:${componentId}:${label}:end`),
   };
 }
 
+/**
+ * Returns a readable label for a binding source (a path or a selector function).
+ *
+ * @param {BindingKey} key - Binding source.
+ * @returns {string} Label used in anchors and warnings.
+ */
+function describeBindingKey(key) {
+  if (typeof key === "function") return key.name || "selector";
+  return key;
+}
+
+/**
+ * Reads the value a binding is attached to: a top-level key, a dot-separated
+ * path (`"user.profile.name"`, `"tasks.length"`) or a selector function.
+ *
+ * @param {Record<string, unknown>} state - Store state.
+ * @param {BindingKey} key - Binding source.
+ * @returns {unknown} Selected value (`undefined` when a path segment is missing).
+ */
+function selectBindingValue(state, key) {
+  if (typeof key === "function") return key(state);
+  if (state == null) return undefined;
+  if (!key.includes(".")) return state[key];
+  let value = state;
+  for (const segment of key.split(".")) {
+    if (value == null) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Tells whether a binding's selected value is unchanged: `Object.is`, or two arrays
+ * holding the same items in the same order, so a selector that filters or maps into
+ * a fresh array only updates when its contents change.
+ *
+ * @param {unknown} previous - Value selected from the previous state.
+ * @param {unknown} next - Value selected from the next state.
+ * @returns {boolean} True when bindings don't need to update.
+ */
+function sameBindingValue(previous, next) {
+  if (Object.is(previous, next)) return true;
+  if (!Array.isArray(previous) || !Array.isArray(next)) return false;
+  if (previous.length !== next.length) return false;
+  return previous.every((item, index) => Object.is(item, next[index]));
+}
+
+/**
+ * Resolves the key function passed through `h.map` options.
+ *
+ * @param {string|((item: unknown, index: number) => unknown)|undefined} key - Property name or key function.
+ * @returns {((item: unknown, index: number) => unknown)|undefined} Normalized key function.
+ */
+function normalizeKeyOption(key) {
+  if (typeof key === "function") return key;
+  if (typeof key === "string" || typeof key === "number") {
+    return (item) => (item == null ? item : item[key]);
+  }
+  return undefined;
+}
+
+/**
+ * Converts an iteratee result into a DOM node (or `null` when nothing should render).
+ *
+ * @param {unknown} result - Value returned by the iteratee.
+ * @returns {Node|null} Node ready to be inserted.
+ */
+function toItemNode(result) {
+  if (result == null || result === false) return null;
+  return result instanceof Node ? result : document.createTextNode(String(result));
+}
+
+/**
+ * Reconciles the nodes between the anchors of a keyed map binding.
+ * Items whose key and identity are unchanged keep their node; changed items are
+ * re-rendered in place, new items are inserted and stale ones removed.
+ *
+ * @param {BindingRecord} binding - Binding being updated.
+ * @param {Iterable<unknown>} iterable - Next list of items.
+ * @param {Record<string, unknown>} state - Complete store state.
+ * @returns {void}
+ */
+function reconcileMapItems(binding, iterable, state) {
+  const previous = binding.entries;
+  const next = new Map();
+  const ordered = [];
+  // Nodes of new keys enter; nodes of re-rendered items are swapped without a transition
+  const added = new Set();
+  const replaced = new Set();
+  const occurrences = new Map();
+  let index = 0;
+
+  for (const item of iterable) {
+    const itemIndex = index;
+    index += 1;
+    let rendered;
+    const render = () => {
+      if (rendered === undefined) {
+        // Each item is a component, so its bindings are disposed when it is removed
+        rendered = toItemNode(
+          renderComponent(binding.iteratee, [item, itemIndex, state])
+        );
+      }
+      return rendered;
+    };
+
+    let key;
+    // False when the item itself stands in for a key nobody gave
+    let explicit = true;
+    if (binding.getKey) {
+      key = binding.getKey(item, itemIndex);
+    } else if (binding.itemKeys.has(item)) {
+      ({ key, explicit } = binding.itemKeys.get(item));
+    } else {
+      const node = render();
+      if (node && nodeKeys.has(node)) {
+        key = nodeKeys.get(node);
+      } else {
+        key = item;
+        explicit = false;
+      }
+    }
+
+    if (!explicit) {
+      // Repeated items (e.g. equal strings) are told apart by their occurrence
+      const occurrence = occurrences.get(item) ?? 0;
+      occurrences.set(item, occurrence + 1);
+      if (occurrence > 0) key = occurrenceKey(binding, item, occurrence);
+    } else if (next.has(key)) {
+      console.warn(
+        `h.map: duplicate key "${String(key)}" in "${describeBindingKey(binding.key)}".`
+      );
+      ordered.push(...itemNodes(render()));
+      continue;
+    }
+
+    const entry = previous.get(key);
+    const reused = Boolean(entry) && entry.item === item;
+    // A fragment empties once inserted, so entries keep its children
+    const nodes = reused ? entry.nodes : itemNodes(render());
+    // Rendered only to read its key
+    if (rendered && reused) discardComponent(rendered);
+    if (!entry) {
+      nodes.forEach((node) => added.add(node));
+    } else if (!reused) {
+      entry.nodes.forEach((node) => replaced.add(node));
+      // Take the old nodes' place so leaving neighbours keep their position
+      const [first] = entry.nodes;
+      if (first && nodes.length && first.parentNode === binding.end.parentNode) {
+        first.replaceWith(...nodes);
+      }
+    }
+    next.set(key, { item, nodes });
+    ordered.push(...nodes);
+  }
+
+  const retained = new Set(ordered);
+  let current = binding.start.nextSibling;
+  while (current && current !== binding.end) {
+    const following = current.nextSibling;
+    if (!retained.has(current)) {
+      removeMapItem(binding, current, !replaced.has(current));
+    }
+    current = following;
+  }
+
+  const animate = Boolean(binding.transition) && binding.rendered;
+  const parent = binding.end.parentNode;
+  let cursor = binding.start.nextSibling;
+  ordered.forEach((node) => {
+    // Leaving items keep their place until their transition ends
+    while (cursor && leavingNodes.has(cursor)) cursor = cursor.nextSibling;
+    if (node === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      parent.insertBefore(node, cursor);
+      if (animate && added.has(node)) enter(node, binding.transition);
+    }
+  });
+
+  binding.rendered = true;
+  binding.entries = next;
+  binding.itemKeys = new Map();
+  next.forEach((entry, key) => {
+    if (binding.itemKeys.has(entry.item)) return;
+    binding.itemKeys.set(entry.item, { key, explicit: !occurrences.has(entry.item) });
+  });
+  binding.occurrenceKeys.forEach((keys, item) => {
+    const count = occurrences.get(item) ?? 0;
+    if (count > 1) keys.length = count - 1;
+    else binding.occurrenceKeys.delete(item);
+  });
+}
+
+/**
+ * Returns a stable key for a repeated item of an unkeyed map binding.
+ *
+ * @param {BindingRecord} binding - Binding being updated.
+ * @param {unknown} item - Repeated item.
+ * @param {number} occurrence - How many times the item appeared before (at least 1).
+ * @returns {symbol}
+ */
+function occurrenceKey(binding, item, occurrence) {
+  if (!binding.occurrenceKeys.has(item)) binding.occurrenceKeys.set(item, []);
+  const keys = binding.occurrenceKeys.get(item);
+  while (keys.length < occurrence) keys.push(Symbol("h.map.occurrence"));
+  return keys[occurrence - 1];
+}
+
+/**
+ * Lists the nodes a map item puts in the document.
+ *
+ * @param {Node|null} node - Rendered item.
+ * @returns {Node[]} The children of a fragment, otherwise the node itself.
+ */
+function itemNodes(node) {
+  if (!node) return [];
+  return node instanceof DocumentFragment ? [...node.childNodes] : [node];
+}
+
+/**
+ * Removes a node rendered by a map binding, after its leave transition when it has one.
+ *
+ * @param {BindingRecord} binding - Binding that rendered the node.
+ * @param {Node} node - Node to remove.
+ * @param {boolean} animate - False for nodes replaced by a re-render of the same item.
+ * @returns {void}
+ */
+function removeMapItem(binding, node, animate) {
+  if (leavingNodes.has(node)) return;
+  if (!binding.transition || !animate) {
+    node.remove();
+    return;
+  }
+  leavingNodes.add(node);
+  leave(node, binding.transition).then(() => {
+    leavingNodes.delete(node);
+    node.remove();
+  });
+}
+
 function createMapBinding(descriptor, start, end, componentId) {
   const binding = {
     start,
     end,
     iteratee: descriptor.iteratee,
+    getKey: descriptor.getKey,
+    transition: descriptor.transition,
+    // Items of the first render appear without an enter transition
+    rendered: false,
     store: descriptor.store,
     key: descriptor.key,
     componentId,
     wasConnected: false,
     pendingValue: null,
     pendingState: null,
+    entries: new Map(),
+    itemKeys: new Map(),
+    occurrenceKeys: new Map(),
     update(value, state) {
       if (!this.start.isConnected || !this.end.isConnected) {
         if (this.wasConnected) {
@@ -264,12 +765,8 @@ function createMapBinding(descriptor, start, end, componentId) {
         return;
       }
       this.wasConnected = true;
-      clearNodesBetween(this.start, this.end);
       const iterable = isIterable(value) ? value : [];
-      const fragment = renderIterableToFragment(iterable, (item, index) =>
-        this.iteratee(item, index, state)
-      );
-      this.end.parentNode?.insertBefore(fragment, this.end);
+      reconcileMapItems(this, iterable, state);
     },
   };
 
@@ -290,34 +787,63 @@ function createMapBinding(descriptor, start, end, componentId) {
 
 /**
  * @typedef {Object} BindingRecord
- * @property {Text|Comment} [node] - Optional text node receiving updates.
+ * @property {Text|Comment|Element} [node] - Optional text node or element receiving updates.
  * @property {Comment} [start] - Optional start marker for ranged updates.
  * @property {Comment} [end] - Optional end marker for ranged updates.
  * @property {(value: unknown, state: Record<string, unknown>) => string | number | boolean | null | undefined} [formatter]
  * @property {(item: unknown, index: number, state: Record<string, unknown>) => Node | string | number | boolean | null | undefined} [iteratee]
+ * @property {(item: unknown, index: number) => unknown} [getKey] - Key function for keyed map bindings.
+ * @property {Map<unknown, { item: unknown, nodes: Node[] }>} [entries] - Rendered map items by key.
+ * @property {Map<unknown, { key: unknown, explicit: boolean }>} [itemKeys] - Keys of the last rendered items, looked up by item identity; `explicit` is false when the item is its own key.
+ * @property {Map<unknown, symbol[]>} [occurrenceKeys] - Keys of the repeats of unkeyed items.
  * @property {{ __unregisterBinding: (key: string, binding: BindingRecord) => void }} store - Bound store instance.
- * @property {string} key - Property name within the store state.
+ * @property {BindingKey} key - Property name, dot path or selector within the store state.
  * @property {string} componentId - Identifier for the host element.
  * @property {boolean} wasConnected - Indicates whether the node was ever connected to the document.
  * @property {(value: unknown, state: Record<string, unknown>) => void} update - Callback invoked on store updates.
  */
 
+/**
+ * @typedef {string|((state: Record<string, unknown>) => unknown)} BindingKey
+ * Source of a binding: a top-level property name, a dot-separated path
+ * (`"user.profile.name"`, `"tasks.length"`) or a selector function receiving the state.
+ */
+
 /**
  * Creates a link descriptor used by the `h()` helper to bind a store property to a text node.
+ * The descriptor can also be used as a prop value (`class`, `disabled`, `aria-*`, ...) or as a
+ * `style` object entry; the prop then follows the store, receiving the raw formatted value.
  *
  * @template {Record<string, unknown>} S
  * @param {{ __registerBinding: (key: string, binding: LinkBindingRecord) => () => boolean, __unregisterBinding: (key: string, binding: LinkBindingRecord) => boolean, get: () => S }} store
  * Store instance produced by {@link createStore}.
- * @param {keyof S & string} key - Name of the property to bind.
+ * @param {BindingKey} key - Property name, dot path or selector function to bind.
+ * The binding only updates when the selected value changes (`Object.is`, arrays item by item).
  * @param {LinkOptions} [options] - Optional configuration.
- * @returns {{ __type: symbol, store: typeof store, key: keyof S & string, formatter?: LinkOptions['format'] }} Link descriptor consumed internally by `h()`.
+ * @returns {{ __type: symbol, store: typeof store, key: BindingKey, formatter?: LinkOptions['format'] }} Link descriptor consumed internally by `h()`.
+ *
+ * @example
+ * h('span', {}, h.link(store, 'user.profile.name'));
+ * h('span', {}, h.link(store, 'tasks.length'));
+ * h('span', {}, h.link(store, (s) => s.tasks.filter((t) => t.done).length));
+ *
+ * @example
+ * h('button', {
+ *   class: h.link(store, 'filter', { format: (f) => ['btn', f === 'all' && 'active'] }),
+ *   disabled: h.link(store, 'saving'),
+ *   style: { opacity: h.link(store, 'saving', { format: (busy) => (busy ? 0.5 : 1) }) },
+ * }, 'All');
  */
 export function link(store, key, options = {}) {
   if (!store || typeof store.__registerBinding !== "function") {
-    throw new Error("h.link requires a store created by createStore.");
+    throw new Error(
+      "h.link requires a store created by createStore or computed."
+    );
   }
-  if (typeof key !== "string" || key.length === 0) {
-    throw new Error("h.link requires a non-empty property name.");
+  if (!isBindingKey(key)) {
+    throw new Error(
+      "h.link requires a non-empty property name, path or selector function."
+    );
   }
   const formatter =
     typeof options.format === "function" ? options.format : undefined;
@@ -331,19 +857,41 @@ export function link(store, key, options = {}) {
 
 h.link = link;
 
+/**
+ * Checks whether a value can be used as a binding source.
+ *
+ * @param {unknown} key - Candidate binding source.
+ * @returns {key is BindingKey} True for non-empty strings and functions.
+ */
+function isBindingKey(key) {
+  return (
+    typeof key === "function" || (typeof key === "string" && key.length > 0)
+  );
+}
+
 /**
  * Maps over an iterable source or a reactive store key to create DOM elements.
  *
- * When source is a string (store key), returns a descriptor for reactive mapping.
+ * When source is a string (store key or dot path) or a selector function, returns a descriptor
+ * for reactive mapping.
  * When source is an iterable, immediately renders elements into a DocumentFragment.
  *
- * @param {string|Iterable} source - Store key (string) for reactive mapping, or an iterable to map over
+ * Reactive mappings are keyed: on each update, nodes whose item is unchanged are kept
+ * (and moved if needed), changed items are re-rendered and removed items are dropped.
+ * Keys come from `options.key` when given, otherwise from the `key` prop of the node
+ * returned by the iteratee, falling back to the item itself (repeated items, such as equal
+ * strings, are then told apart by position). Duplicate explicit keys log a warning.
+ *
+ * @param {BindingKey|Iterable} source - Store key, dot path or selector for reactive mapping, or an iterable to map over
  * @param {Function} iteratee - Mapping function that receives (item, index) and returns a DOM element
  * @param {Object} [options={}] - Configuration options
  * @param {Object} [options.store] - Store instance (required when source is a string)
+ * @param {string|((item: unknown, index: number) => unknown)} [options.key] - Item property name or function returning a stable key
+ * @param {string} [options.transition] - Transition name (see `transition.js`): items added after the first
+ * render run the enter phase, removed items run the leave phase before they are taken out
  * @returns {Object|DocumentFragment} Map descriptor for reactive binding or DocumentFragment with rendered elements
  * @throws {Error} If iteratee is not a function
- * @throws {Error} If source is a string but no valid store is provided
+ * @throws {Error} If source is a key or selector but no valid store is provided
  *
  * @example
  * // Reactive mapping with store
@@ -353,6 +901,25 @@ h.link = link;
  * );
  *
  * @example
+ * // Selector source: filter() returns a new array each time, which is compared item by
+ * // item, so the list only updates when the visible tasks change
+ * h.map((s) => s.tasks.filter((t) => t.status === s.filter), renderTask, {
+ *   store: tasksStore,
+ *   key: 'id',
+ * });
+ *
+ * @example
+ * // Keyed reactive mapping: re-sorting moves rows instead of rebuilding them
+ * const rowsView = h.map('rows', (row) => h('tr', {}, row.name), {
+ *   store: tableStore,
+ *   key: 'id',
+ * });
+ *
+ * @example
+ * // Animated list: `.list-enter-*` / `.list-leave-*` classes drive the CSS transitions
+ * h.map('tasks', renderTask, { store: tasksStore, key: 'id', transition: 'list' });
+ *
+ * @example
  * // Direct mapping of an array
  * const list = h.map([1, 2, 3], (num) =>
  *   h('li', {}, `Item ${num}`)
@@ -364,11 +931,11 @@ export function map(source, iteratee, options = {}) {
       "h.map requires a mapping function as the second argument."
     );
   }
-  if (typeof source === "string") {
+  if (typeof source === "string" || typeof source === "function") {
     const { store } = options;
     if (!store || typeof store.__registerBinding !== "function") {
       throw new Error(
-        "h.map with a string source requires a store created by createStore."
+        "h.map with a key or selector source requires a store created by createStore or computed."
       );
     }
     return {
@@ -376,6 +943,8 @@ export function map(source, iteratee, options = {}) {
       store,
       key: source,
       iteratee,
+      getKey: normalizeKeyOption(options.key),
+      transition: options.transition,
     };
   }
   if (!isIterable(source)) {
@@ -439,13 +1008,16 @@ export function clear(target) {
  * @param {string} event - Event type (e.g., `"click"`).
  * @param {string} selector - CSS selector for matching targets via `closest()`.
  * @param {(e: Event, match: Element) => void} handler - Callback invoked with the original event and the matched element.
- * @returns {void}
+ * @returns {() => void} Function removing the listener. Delegations created while a component
+ * renders are removed automatically when the component is cleaned up.
  */
 export function on(root, event, selector, handler) {
-  root.addEventListener(event, (e) => {
+  const listener = (e) => {
     const match = e.target.closest(selector);
     if (match && root.contains(match)) handler(e, match);
-  });
+  };
+  root.addEventListener(event, listener);
+  return track(() => root.removeEventListener(event, listener));
 }
 
 /**
@@ -465,28 +1037,652 @@ export const $ = (sel, root = document) => root.querySelector(sel);
 export const $$ = (sel, root = document) =>
   Array.from(root.querySelectorAll(sel));
 
+/**
+ * @typedef {Object} ComponentScope
+ * @property {Node[]} roots - Top-level nodes returned by the component.
+ * @property {Array<() => unknown>} mount - Callbacks run once the component is attached.
+ * @property {Array<() => void>} cleanup - Disposers run, last first, once it is detached.
+ * @property {ErrorBoundary|null} boundary - Boundary handling errors of its hooks and bindings.
+ */
+
+/**
+ * @typedef {Object} ErrorBoundary
+ * @property {(error: unknown, source: ErrorInfo['source']) => void} handle - Shows the fallback for an error.
+ */
+
+/**
+ * @typedef {Object} ErrorInfo
+ * @property {"render"|"binding"|"onInit"|"load"|"onMount"|"onCleanup"|"onUnmount"|"route"|"guard"|"navigation"|"afterEach"|"errorRoute"} source - Where the error was thrown.
+ * @property {string} [view] - Name of the view that failed.
+ * @property {string} [route] - Name of the route that failed.
+ */
+
+// Scope of the component being rendered; bindings, subscriptions and `on()` register here
+let currentScope = null;
+// Components waiting to be attached to the document, and attached ones
+const pendingComponents = new Set();
+const mountedComponents = new Set();
+const componentScopes = new WeakMap();
+// Scopes of pending and mounted components by root node, looked up from mutated subtrees
+const scopesByRoot = new WeakMap();
+let lifecycleObserver = null;
+// Nearest error boundary of the code being rendered, and global error handlers
+let currentBoundary = null;
+const errorHandlers = new Set();
+
+/**
+ * Wraps a render function into a component with a lifecycle. While it renders, `onMount`
+ * and `onCleanup` register callbacks for its root node, and store bindings (`h.link`,
+ * `h.map`), `subscribe` calls and `on()` delegations created inside (or in `onMount`) are collected.
+ * `onMount` callbacks run once the root is attached to the document; when it is detached
+ * the collected resources are disposed and `onCleanup` callbacks run. Cleanup is final:
+ * re-attaching the node doesn't restart the component.
+ *
+ * `h(Component, props, ...children)` renders a plain function the same way.
+ *
+ * @template {any[]} A
+ * @param {(...args: A) => Node} render - Builds the component's DOM.
+ * @returns {(...args: A) => Node} Component function returning the rendered root.
+ *
+ * @example
+ * const Clock = component(() => {
+ *   const time = h("time", {}, new Date().toLocaleTimeString());
+ *   onMount(() => {
+ *     const timer = setInterval(() => (time.textContent = new Date().toLocaleTimeString()), 1000);
+ *     return () => clearInterval(timer);
+ *   });
+ *   return time;
+ * });
+ */
+export function component(render) {
+  if (typeof render !== "function") {
+    throw new Error("component requires a render function.");
+  }
+  return (...args) => renderComponent(render, args);
+}
+
+/**
+ * Registers a callback run once the current component is attached to the document.
+ * A function returned by the callback runs on cleanup.
+ *
+ * @param {() => (void|(() => void))} callback - Mount callback.
+ * @returns {void}
+ */
+export function onMount(callback) {
+  requireScope("onMount").mount.push(callback);
+}
+
+/**
+ * Registers a callback run when the current component is detached from the document,
+ * e.g. to clear timers or close connections.
+ *
+ * @param {() => void} callback - Cleanup callback.
+ * @returns {void}
+ */
+export function onCleanup(callback) {
+  requireScope("onCleanup").cleanup.push(callback);
+}
+
+/**
+ * Creates a scope whose lifetime is managed by the caller instead of by the document,
+ * as the view lifecycle does. Code passed to `run` can use `onMount`/`onCleanup`, and the
+ * bindings, subscriptions and delegations it creates synchronously are collected.
+ *
+ * @param {{ onError?: ErrorBoundary['handle'] }} [options] - `onError` makes the scope an
+ * error boundary for the bindings and components created inside it.
+ * @returns {{ run: <T>(fn: () => T) => T, mount: () => void, dispose: () => void }}
+ * `run` executes code inside the scope, `mount` runs its `onMount` callbacks and
+ * `dispose` releases everything collected.
+ */
+export function createScope(options = {}) {
+  const boundary =
+    typeof options.onError === "function" ? { handle: options.onError } : currentBoundary;
+  const scope = { roots: [], mount: [], cleanup: [], boundary };
+  return {
+    run: (fn) => runInScope(scope, fn),
+    mount: () => runMountCallbacks(scope),
+    dispose: () => disposeScope(scope),
+  };
+}
+
+/**
+ * Returns the scope of the component being rendered.
+ *
+ * @param {string} caller - Name of the calling hook, for the error message.
+ * @returns {ComponentScope} Current scope.
+ */
+function requireScope(caller) {
+  if (!currentScope) {
+    throw new Error(`${caller} must be called while a component renders (see component()).`);
+  }
+  return currentScope;
+}
+
+/**
+ * Adds a disposer to the scope of the component being rendered, if any.
+ *
+ * @template {Function|undefined} T
+ * @param {T} disposer - Function releasing a resource.
+ * @returns {T} The same disposer.
+ */
+function track(disposer) {
+  if (currentScope && typeof disposer === "function") {
+    currentScope.cleanup.push(disposer);
+  }
+  return disposer;
+}
+
+/**
+ * Runs a function with the given scope as the current one.
+ *
+ * @template T
+ * @param {ComponentScope|null} scope - Scope to collect into, or null to collect nothing.
+ * @param {() => T} fn - Function to run.
+ * @returns {T} Its result.
+ */
+function runInScope(scope, fn) {
+  const parentScope = currentScope;
+  const parentBoundary = currentBoundary;
+  currentScope = scope;
+  if (scope) currentBoundary = scope.boundary;
+  try {
+    return fn();
+  } finally {
+    currentScope = parentScope;
+    currentBoundary = parentBoundary;
+  }
+}
+
+/**
+ * Runs a function outside any component scope, so what it creates isn't tracked.
+ *
+ * @template T
+ * @param {() => T} fn - Function to run.
+ * @returns {T} Its result.
+ */
+function untracked(fn) {
+  return runInScope(null, fn);
+}
+
+/**
+ * Renders a component inside a new scope and starts watching its root node when
+ * it registered anything to mount or clean up.
+ *
+ * @param {Function} render - Component function.
+ * @param {unknown[]} args - Arguments for the component.
+ * @returns {Node} Rendered root.
+ */
+function renderComponent(render, args) {
+  const scope = { roots: [], mount: [], cleanup: [], boundary: currentBoundary };
+  let node;
+  try {
+    node = runInScope(scope, () => render(...args));
+  } catch (error) {
+    disposeScope(scope);
+    throw error;
+  }
+
+  if (scope.mount.length === 0 && scope.cleanup.length === 0) return node;
+  if (node instanceof DocumentFragment) {
+    scope.roots = [...node.childNodes];
+  } else if (node instanceof Node) {
+    scope.roots = [node];
+  }
+  if (scope.roots.length === 0) {
+    // Nothing can ever be attached; release what the render registered
+    disposeScope(scope);
+    return node;
+  }
+  pendingComponents.add(scope);
+  scope.roots.forEach((root) => {
+    if (!scopesByRoot.has(root)) scopesByRoot.set(root, new Set());
+    scopesByRoot.get(root).add(scope);
+  });
+  componentScopes.set(node, scope);
+  observeLifecycles();
+  return node;
+}
+
+/**
+ * Stops tracking a component scope, before it is disposed.
+ *
+ * @param {ComponentScope} scope - Component scope.
+ * @returns {void}
+ */
+function forgetComponent(scope) {
+  pendingComponents.delete(scope);
+  mountedComponents.delete(scope);
+  scope.roots.forEach((root) => {
+    const scopes = scopesByRoot.get(root);
+    scopes?.delete(scope);
+    if (scopes?.size === 0) scopesByRoot.delete(root);
+  });
+}
+
+/**
+ * Releases a rendered component that will never be attached.
+ *
+ * @param {Node} node - Root returned by the component.
+ * @returns {void}
+ */
+function discardComponent(node) {
+  const scope = componentScopes.get(node);
+  if (!scope || !pendingComponents.has(scope)) return;
+  forgetComponent(scope);
+  disposeScope(scope);
+}
+
+/**
+ * Starts observing the document for attached and detached components.
+ *
+ * @returns {void}
+ */
+function observeLifecycles() {
+  if (lifecycleObserver || typeof MutationObserver !== "function") return;
+  lifecycleObserver = new MutationObserver(syncLifecycles);
+  lifecycleObserver.observe(document, { childList: true, subtree: true });
+}
+
+/**
+ * Mounts components whose root got attached and cleans up those whose root got detached.
+ * Only the added and removed subtrees are looked at. Removed roots are checked again after a
+ * microtask, so nodes moved within the document (e.g. by `h.map` reordering) stay mounted.
+ *
+ * @param {MutationRecord[]} records - Observed mutations.
+ * @returns {void}
+ */
+function syncLifecycles(records) {
+  const added = new Set();
+  const removed = new Set();
+  records.forEach((record) => {
+    record.addedNodes.forEach((node) => added.add(node));
+    record.removedNodes.forEach((node) => removed.add(node));
+  });
+
+  added.forEach((node) => {
+    if (!node.isConnected) return;
+    forEachScopeIn(node, (scope) => {
+      if (!pendingComponents.has(scope)) return;
+      pendingComponents.delete(scope);
+      mountedComponents.add(scope);
+      runMountCallbacks(scope);
+    });
+  });
+
+  if (removed.size > 0) {
+    queueMicrotask(() => {
+      removed.forEach((node) => {
+        if (node.isConnected) return;
+        forEachScopeIn(node, (scope) => {
+          if (!mountedComponents.has(scope)) return;
+          if (scope.roots.some((root) => root.isConnected)) return;
+          forgetComponent(scope);
+          disposeScope(scope);
+        });
+      });
+      stopObservingIfIdle();
+    });
+  }
+  stopObservingIfIdle();
+}
+
+/**
+ * Calls a function for each tracked component scope rooted in a subtree.
+ *
+ * @param {Node} node - Subtree root.
+ * @param {(scope: ComponentScope) => void} callback - Called once per scope.
+ * @returns {void}
+ */
+function forEachScopeIn(node, callback) {
+  const found = new Set();
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_ALL);
+  for (let current = node; current; current = walker.nextNode()) {
+    scopesByRoot.get(current)?.forEach((scope) => found.add(scope));
+  }
+  found.forEach(callback);
+}
+
+/**
+ * Disconnects the lifecycle observer once no component is pending or mounted.
+ *
+ * @returns {void}
+ */
+function stopObservingIfIdle() {
+  if (!lifecycleObserver || pendingComponents.size > 0 || mountedComponents.size > 0) return;
+  lifecycleObserver.disconnect();
+  lifecycleObserver = null;
+}
+
+/**
+ * Runs a component's `onMount` callbacks, keeping returned functions as cleanups.
+ *
+ * @param {ComponentScope} scope - Component scope.
+ * @returns {void}
+ */
+function runMountCallbacks(scope) {
+  scope.mount.splice(0).forEach((callback) => {
+    try {
+      const cleanup = runInScope(scope, callback);
+      if (typeof cleanup === "function") scope.cleanup.push(cleanup);
+    } catch (error) {
+      if (scope.boundary) {
+        scope.boundary.handle(error, "onMount");
+      } else {
+        reportError(error, { source: "onMount" });
+      }
+    }
+  });
+}
+
+/**
+ * Runs a component's disposers and cleanup callbacks, last registered first.
+ *
+ * @param {ComponentScope} scope - Component scope.
+ * @returns {void}
+ */
+function disposeScope(scope) {
+  const callbacks = scope.cleanup.splice(0).reverse();
+  callbacks.forEach((callback) => {
+    try {
+      callback();
+    } catch (error) {
+      reportError(error, { source: "onCleanup" });
+    }
+  });
+}
+
+/**
+ * Registers a global error handler, e.g. to send errors to a logging service.
+ * It receives the errors caught by error boundaries and view fallbacks, route errors and
+ * errors of component hooks. Without handlers, errors are logged to the console.
+ *
+ * @param {(error: unknown, info: ErrorInfo) => void} handler - Error handler.
+ * @returns {() => boolean} Function removing the handler.
+ *
+ * @example
+ * onError((error, info) => logger.captureException(error, { tags: info }));
+ */
+export function onError(handler) {
+  if (typeof handler !== "function") {
+    throw new Error("onError requires a handler function.");
+  }
+  errorHandlers.add(handler);
+  return () => errorHandlers.delete(handler);
+}
+
+/**
+ * Passes an error to the handlers registered with {@link onError}.
+ *
+ * @param {unknown} error - Error to report.
+ * @param {ErrorInfo} info - Where the error was thrown.
+ * @returns {void}
+ */
+export function reportError(error, info) {
+  if (errorHandlers.size === 0) {
+    const origin = info.route
+      ? `route "${info.route}"${info.source === "route" ? "" : ` (${info.source})`}`
+      : info.view
+        ? `view "${info.view}" (${info.source})`
+        : info.source;
+    console.error(`Error in ${origin}:`, error);
+    return;
+  }
+  errorHandlers.forEach((handler) => {
+    try {
+      handler(error, info);
+    } catch (handlerError) {
+      console.error("onError handler failed:", handlerError);
+    }
+  });
+}
+
+/**
+ * Renders a subtree and replaces it with a fallback when it throws: while rendering,
+ * in the `onMount` of components inside it, or later in the `format` or iteratee
+ * callbacks of its bindings. Errors are reported to the {@link onError} handlers.
+ * `reset` renders the subtree again. Errors thrown by the fallback itself go to the
+ * enclosing boundary.
+ *
+ * @param {() => Node} render - Builds the subtree.
+ * @param {(error: unknown, reset: () => void) => Node} fallback - Builds the fallback.
+ * @returns {HTMLElement} Element hosting the subtree or the fallback.
+ *
+ * @example
+ * errorBoundary(
+ *   () => h("ul", {}, h.map("items", renderItem, { store })),
+ *   (error, reset) => h("p", {}, ["Could not show the list. ", h("button", { onclick: reset }, "Retry")])
+ * );
+ */
+export function errorBoundary(render, fallback) {
+  if (typeof render !== "function" || typeof fallback !== "function") {
+    throw new Error("errorBoundary requires a render function and a fallback function.");
+  }
+  const parentBoundary = currentBoundary;
+  const host = h("div", { class: "error-boundary" });
+  let rendering = false;
+  let caught = null;
+
+  /** @type {ErrorBoundary} */
+  const boundary = {
+    handle(error, source) {
+      reportError(error, { source });
+      if (rendering) {
+        // Shown once the render returns
+        caught ??= { error };
+        return;
+      }
+      showFallback(error);
+    },
+  };
+
+  const showFallback = (error) => {
+    let node;
+    try {
+      node = runWithBoundary(parentBoundary, () =>
+        renderComponent(fallback, [error, renderContent])
+      );
+    } catch (fallbackError) {
+      if (!parentBoundary) throw fallbackError;
+      parentBoundary.handle(fallbackError, "render");
+      return;
+    }
+    replaceContent(host, node);
+  };
+
+  function renderContent() {
+    rendering = true;
+    caught = null;
+    let node;
+    try {
+      node = runWithBoundary(boundary, () => renderComponent(render, []));
+    } catch (error) {
+      reportError(error, { source: "render" });
+      caught = { error };
+    } finally {
+      rendering = false;
+    }
+    if (caught) {
+      if (node) discardComponent(node);
+      showFallback(caught.error);
+      return;
+    }
+    replaceContent(host, node);
+  }
+
+  renderContent();
+  return host;
+}
+
+/**
+ * Runs a function with the given error boundary as the current one.
+ *
+ * @template T
+ * @param {ErrorBoundary|null} boundary - Boundary for the code being run.
+ * @param {() => T} fn - Function to run.
+ * @returns {T} Its result.
+ */
+function runWithBoundary(boundary, fn) {
+  const parentBoundary = currentBoundary;
+  currentBoundary = boundary;
+  try {
+    return fn();
+  } finally {
+    currentBoundary = parentBoundary;
+  }
+}
+
+/**
+ * Replaces the children of a boundary host.
+ *
+ * @param {HTMLElement} host - Boundary element.
+ * @param {unknown} content - Rendered subtree or fallback.
+ * @returns {void}
+ */
+function replaceContent(host, content) {
+  const node = toItemNode(content);
+  host.replaceChildren(...(node ? [node] : []));
+}
+
+/**
+ * Routes the errors thrown by a binding's updates (`format`, iteratees) to the error
+ * boundary it was created in. Bindings outside any boundary throw to the store caller.
+ *
+ * @template {{ update: Function }} B
+ * @param {B} binding - Binding record.
+ * @returns {B} The same record.
+ */
+function guardBinding(binding) {
+  const boundary = currentBoundary;
+  if (!boundary) return binding;
+  const { update } = binding;
+  binding.update = function guardedUpdate(...args) {
+    try {
+      // Components rendered by iteratees belong to the same boundary
+      return runWithBoundary(boundary, () => update.apply(this, args));
+    } catch (error) {
+      boundary.handle(error, "binding");
+    }
+  };
+  return binding;
+}
+
+/**
+ * @typedef {Object} StoreAction
+ * @property {string} type - Action name.
+ * @property {unknown} [payload] - Data passed to the reducer.
+ */
+
+/**
+ * @callback StoreMiddleware
+ * Runs around every dispatched action. Call `next(action)` to continue the pipeline
+ * (optionally with a modified action); skip it to cancel the action.
+ * @param {StoreAction} action - Action being dispatched.
+ * @param {(action: StoreAction) => unknown} next - Continues with the next middleware, then the reducer.
+ * @param {{ get: () => unknown }} store - Store receiving the action.
+ * @returns {unknown} Usually the return value of `next`.
+ */
+
+/**
+ * @typedef {Object} StoreOptions
+ * @property {Object<string, (state: any, payload: any) => any>} [actions]
+ * Reducers by action name. Each receives the current state and the payload and returns the next state.
+ * @property {StoreMiddleware[]} [middleware] - Middleware applied to dispatched actions, outermost first.
+ * @property {boolean|{ limit?: number, ignore?: string[] }} [history] - Enables undo/redo. `limit` caps
+ * the number of undo steps (default 100); actions listed in `ignore` (e.g. UI filters) aren't recorded,
+ * and undo/redo keep the keys they changed.
+ * @property {"sync"|"microtask"|"raf"} [schedule="sync"] - When bindings and subscribers are notified.
+ * `"sync"` notifies on every commit; `"microtask"` and `"raf"` coalesce commits into one pass.
+ */
+
+const DEFAULT_HISTORY_LIMIT = 100;
+// Marks "no notification pending" (state itself may legitimately be undefined)
+const NOTHING_PENDING = Symbol("store.nothingPending");
+const SCHEDULERS = {
+  microtask: (run) => queueMicrotask(run),
+  raf: (run) =>
+    typeof requestAnimationFrame === "function"
+      ? requestAnimationFrame(run)
+      : setTimeout(run, 16),
+};
+
 // Super small state container for later use
 /**
  * Tiny observable store with `get`, `set`, `update`, and `subscribe`.
+ * Optionally accepts named actions and middleware: `dispatch(type, payload)` runs the
+ * middleware pipeline and then the action reducer, committing the result like `set`.
+ * Plain `set`/`update` calls keep bypassing the pipeline.
+ *
+ * With `history` enabled every commit (`set`, `update` or `dispatch`) becomes an undo step,
+ * except `update(patch, { history: false })`, which is also applied to the existing undo/redo steps
+ * so undoing never reverts it (used for changes that don't come from the user);
+ * `transaction(fn)` groups the commits made inside `fn` into a single step (and a single
+ * notification pass, like `batch`). `undo()`/`redo()`
+ * notify bindings and subscribers like any other update.
+ *
+ * `batch(fn)` defers notifications until `fn` returns, so several commits produce a single
+ * notification pass. With `schedule: "microtask"` or `"raf"` every commit is deferred that way;
+ * `flush()` delivers pending notifications synchronously. `get()` always returns the latest state.
  *
  * @template S
  * @param {S} initialState - Initial store state.
+ * @param {StoreOptions} [options] - Optional actions and middleware.
  * @returns {{
  *   get: () => S,
  *   set: (next: S | ((s: S) => S), afterUpdate?: (s: S) => void) => void,
- *   update: (patch: Partial<S> | ((s: S) => Partial<S>)) => void,
- *   subscribe: (fn: (s: S) => void) => () => boolean
+ *   update: (patch: Partial<S> | ((s: S) => Partial<S>), options?: { history?: boolean }) => void,
+ *   subscribe: (fn: (s: S) => void) => () => boolean,
+ *   dispatch: (type: string, payload?: unknown) => unknown,
+ *   registerAction: (type: string, reducer: (state: S, payload: any) => S) => () => boolean,
+ *   use: (middleware: StoreMiddleware) => () => void,
+ *   undo: () => boolean,
+ *   redo: () => boolean,
+ *   canUndo: () => boolean,
+ *   canRedo: () => boolean,
+ *   transaction: <T>(fn: () => T) => T,
+ *   clearHistory: () => void,
+ *   batch: <T>(fn: () => T) => T,
+ *   flush: () => void
  * }} An object with store helpers.
+ *
+ * @example
+ * const store = createStore({ tasks: [] }, {
+ *   actions: {
+ *     addTask: (state, task) => ({ ...state, tasks: [...state.tasks, task] }),
+ *   },
+ *   middleware: [(action, next) => {
+ *     console.log('dispatch', action.type);
+ *     return next(action);
+ *   }],
+ * });
+ * store.dispatch('addTask', { title: 'Write docs' });
  */
-export function createStore(initialState) {
+export function createStore(initialState, options = {}) {
   let state = initialState;
   const listeners = new Set();
   const bindings = new Map();
+  const reducers = new Map(Object.entries(options.actions || {}));
+  const middleware = [...(options.middleware || [])];
+  const historyLimit = options.history
+    ? Math.max(1, options.history.limit ?? DEFAULT_HISTORY_LIMIT)
+    : 0;
+  const ignoredActions = new Set(options.history?.ignore ?? []);
+  const past = [];
+  const future = [];
+  let transactionDepth = 0;
+  let transactionRecorded = false;
+  const schedule = options.schedule ?? "sync";
+  if (schedule !== "sync" && !SCHEDULERS[schedule]) {
+    throw new Error(`Unknown store schedule "${schedule}".`);
+  }
+  let batchDepth = 0;
+  let flushScheduled = false;
+  // State before the first commit that has not been notified yet
+  let pendingFrom = NOTHING_PENDING;
 
   /**
    * Registers a binding record for the specified key and performs the initial sync.
    *
-   * @param {string} key - Property name in the store state.
+   * @param {BindingKey} key - Property name, dot path or selector in the store state.
    * @param {LinkBindingRecord} binding - Binding configuration.
    * @returns {() => boolean} Cleanup function removing the binding.
    */
@@ -494,14 +1690,14 @@ export function createStore(initialState) {
     if (!bindings.has(key)) bindings.set(key, new Set());
     const bindingSet = bindings.get(key);
     bindingSet.add(binding);
-    binding.update(state[key], state);
+    binding.update(selectBindingValue(state, key), state);
     return () => unregisterBinding(key, binding);
   }
 
   /**
    * Removes a binding from the registry.
    *
-   * @param {string} key - Bound property name.
+   * @param {BindingKey} key - Bound property name, path or selector.
    * @param {LinkBindingRecord} binding - Binding record to remove.
    * @returns {boolean} True when the record was removed.
    */
@@ -515,6 +1711,8 @@ export function createStore(initialState) {
 
   /**
    * Notifies bindings when their respective values have changed.
+   * Paths and selectors are evaluated against both snapshots and compared with
+   * `Object.is` (arrays item by item).
    *
    * @param {Record<string, unknown>} previous - Previous state snapshot.
    * @param {Record<string, unknown>} next - Next state snapshot.
@@ -523,39 +1721,325 @@ export function createStore(initialState) {
   function notifyBindings(previous, next) {
     if (bindings.size === 0) return;
     bindings.forEach((bindingSet, key) => {
-      if (!Object.prototype.hasOwnProperty.call(next, key)) return;
-      const prevValue = previous ? previous[key] : undefined;
-      const nextValue = next[key];
-      if (prevValue === nextValue) return;
+      if (
+        typeof key === "string" &&
+        !key.includes(".") &&
+        !Object.prototype.hasOwnProperty.call(next, key)
+      ) {
+        return;
+      }
+      const prevValue = selectBindingValue(previous, key);
+      const nextValue = selectBindingValue(next, key);
+      if (sameBindingValue(prevValue, nextValue)) return;
       bindingSet.forEach((binding) => {
         binding.update(nextValue, next);
       });
     });
   }
 
-  return {
+  /**
+   * Replaces the state and notifies bindings and subscribers, immediately or
+   * once the current batch / scheduled flush runs.
+   *
+   * @param {S} value - Next state.
+   * @param {boolean} [record=true] - Whether the change becomes an undo step.
+   * @returns {void}
+   */
+  function commit(value, record = true) {
+    const previous = state;
+    if (record) recordHistory(previous);
+    state = value;
+    if (pendingFrom === NOTHING_PENDING) pendingFrom = previous;
+    if (batchDepth === 0) requestFlush();
+  }
+
+  /**
+   * Flushes now in sync mode, otherwise schedules a single flush.
+   *
+   * @returns {void}
+   */
+  function requestFlush() {
+    if (schedule === "sync") {
+      flush();
+      return;
+    }
+    if (flushScheduled) return;
+    flushScheduled = true;
+    SCHEDULERS[schedule](() => {
+      flushScheduled = false;
+      flush();
+    });
+  }
+
+  /**
+   * Delivers pending notifications, diffing against the state before the first
+   * unnotified commit.
+   *
+   * @returns {void}
+   */
+  function flush() {
+    if (pendingFrom === NOTHING_PENDING) return;
+    const previous = pendingFrom;
+    pendingFrom = NOTHING_PENDING;
+    if (previous === state) return;
+    notifyBindings(previous, state);
+    listeners.forEach((l) => l(state));
+  }
+
+  /**
+   * Runs `fn` with notifications deferred until the outermost batch ends.
+   *
+   * @template T
+   * @param {() => T} fn - Function performing several commits.
+   * @returns {T} Return value of `fn`.
+   */
+  function batch(fn) {
+    batchDepth += 1;
+    try {
+      return fn();
+    } finally {
+      batchDepth -= 1;
+      if (batchDepth === 0) requestFlush();
+    }
+  }
+
+  /**
+   * Pushes the state being replaced onto the undo stack.
+   * Inside a transaction only the first commit is recorded.
+   *
+   * @param {S} previous - State before the commit.
+   * @returns {void}
+   */
+  function recordHistory(previous) {
+    if (!historyLimit) return;
+    if (transactionDepth > 0) {
+      if (transactionRecorded) return;
+      transactionRecorded = true;
+    }
+    past.push(previous);
+    if (past.length > historyLimit) past.shift();
+    future.length = 0;
+  }
+
+  /**
+   * Applies an unrecorded patch to every undo/redo step, so undoing never reverts it.
+   *
+   * @param {Partial<S>} patch - Patch applied outside the history.
+   * @returns {void}
+   */
+  function rebaseHistory(patch) {
+    [past, future].forEach((stack) => {
+      stack.forEach((step, index) => {
+        stack[index] = { ...step, ...patch };
+      });
+    });
+  }
+
+  /**
+   * Picks the top-level keys whose value differs between two states.
+   *
+   * @param {S} previous - State before the change.
+   * @param {S} next - State after the change.
+   * @returns {Partial<S>} Changed keys with their next value.
+   */
+  function changedKeys(previous, next) {
+    const patch = {};
+    Object.keys(next).forEach((key) => {
+      if (!Object.is(previous[key], next[key])) patch[key] = next[key];
+    });
+    return patch;
+  }
+
+  /**
+   * Moves one step between the undo and redo stacks.
+   *
+   * @param {S[]} from - Stack to take the target state from.
+   * @param {S[]} to - Stack receiving the current state.
+   * @returns {boolean} True when a step was applied.
+   */
+  function travel(from, to) {
+    if (from.length === 0) return false;
+    to.push(state);
+    commit(from.pop(), false);
+    return true;
+  }
+
+  /**
+   * Runs an action through the middleware chain and its reducer.
+   *
+   * @param {StoreAction} action - Action to process.
+   * @returns {unknown} Value returned by the outermost middleware (the next state by default).
+   */
+  function runAction(action) {
+    const chain = [...middleware];
+    const step = (index) => (current) => {
+      if (index < chain.length) {
+        return chain[index](current, step(index + 1), store);
+      }
+      const reducer = reducers.get(current.type);
+      if (!reducer) {
+        throw new Error(`Unknown store action "${current.type}".`);
+      }
+      const value = reducer(state, current.payload);
+      if (value === state) return state;
+      if (ignoredActions.has(current.type)) {
+        // Not an undo step: carry what it changed into every step, so undo keeps it
+        rebaseHistory(changedKeys(state, value));
+        commit(value, false);
+      } else {
+        commit(value);
+      }
+      return state;
+    };
+    return step(0)(action);
+  }
+
+  const store = {
     get: () => state,
     set: (next, afterUpdate) => {
       const value = typeof next === "function" ? next(state) : next;
       if (value === state) return;
-      const previous = state;
-      state = value;
-      notifyBindings(previous, state);
-      listeners.forEach((l) => l(state));
+      commit(value);
       if (typeof afterUpdate === "function") afterUpdate(state);
     },
-    update: (patch) => {
+    update: (patch, { history = true } = {}) => {
       const value = typeof patch === "function" ? patch(state) : patch;
-      const previous = state;
-      state = { ...state, ...value };
-      notifyBindings(previous, state);
-      listeners.forEach((l) => l(state));
+      if (!history) rebaseHistory(value);
+      commit({ ...state, ...value }, history);
     },
     subscribe: (fn) => {
       listeners.add(fn);
-      return () => listeners.delete(fn);
+      // Subscriptions made while a component renders end with the component
+      return track(() => listeners.delete(fn));
+    },
+    dispatch: (type, payload) => {
+      if (typeof type !== "string" || type.length === 0) {
+        throw new Error("dispatch requires an action name.");
+      }
+      return runAction({ type, payload });
     },
+    registerAction: (type, reducer) => {
+      if (typeof reducer !== "function") {
+        throw new Error(`Action "${type}" requires a reducer function.`);
+      }
+      reducers.set(type, reducer);
+      return () => reducers.get(type) === reducer && reducers.delete(type);
+    },
+    use: (fn) => {
+      if (typeof fn !== "function") {
+        throw new Error("Store middleware must be a function.");
+      }
+      middleware.push(fn);
+      return () => {
+        const index = middleware.indexOf(fn);
+        if (index !== -1) middleware.splice(index, 1);
+      };
+    },
+    undo: () => travel(past, future),
+    redo: () => travel(future, past),
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+    transaction: (fn) => {
+      if (transactionDepth === 0) transactionRecorded = false;
+      transactionDepth += 1;
+      try {
+        return batch(fn);
+      } finally {
+        transactionDepth -= 1;
+      }
+    },
+    clearHistory: () => {
+      past.length = 0;
+      future.length = 0;
+    },
+    batch,
+    flush,
     __registerBinding: registerBinding,
     __unregisterBinding: unregisterBinding,
   };
+  return store;
+}
+
+/**
+ * Creates a read-only store derived from one or more source stores.
+ * The selector receives the state of every source (in order) and returns the derived state.
+ * It re-runs when a source changes while the derived store is observed (bindings or
+ * subscribers); otherwise it is only marked stale and recomputed on the next `get()`.
+ *
+ * The result exposes `get` and `subscribe` and can be passed to `h.link`, `h.map` or
+ * another `computed`.
+ *
+ * @template D
+ * @param {{ get: () => unknown, subscribe: (fn: (s: unknown) => void) => () => boolean } | Array<{ get: () => unknown, subscribe: (fn: (s: unknown) => void) => () => boolean }>} sources
+ * Source store, or an array of source stores.
+ * @param {(...states: unknown[]) => D} selector - Derives the state from the source states.
+ * @returns {{
+ *   get: () => D,
+ *   subscribe: (fn: (s: D) => void) => () => boolean
+ * }} A read-only store.
+ *
+ * @example
+ * const tableView = computed(tableStore, (state) => ({
+ *   sortedRows: getSortedRows(state.rows, state.sortKey, state.sortDirection),
+ * }));
+ * h.map('sortedRows', renderRow, { store: tableView });
+ */
+export function computed(sources, selector) {
+  const inputs = Array.isArray(sources) ? sources : [sources];
+  if (
+    inputs.length === 0 ||
+    inputs.some((source) => !source || typeof source.subscribe !== "function")
+  ) {
+    throw new Error("computed requires one or more stores as its source.");
+  }
+  if (typeof selector !== "function") {
+    throw new Error("computed requires a selector function.");
+  }
+
+  const select = () => selector(...inputs.map((source) => source.get()));
+  const inner = createStore(select());
+  let stale = false;
+  let observers = 0;
+
+  function refresh() {
+    if (!stale) return;
+    stale = false;
+    inner.set(select());
+  }
+
+  inputs.forEach((source) =>
+    source.subscribe(() => {
+      stale = true;
+      if (observers > 0) refresh();
+    })
+  );
+
+  const derived = {
+    get: () => {
+      refresh();
+      return inner.get();
+    },
+    subscribe: (fn) => {
+      refresh();
+      observers += 1;
+      const unsubscribe = untracked(() => inner.subscribe(fn));
+      return track(() => {
+        const removed = unsubscribe();
+        if (removed) observers -= 1;
+        return removed;
+      });
+    },
+    __registerBinding(key, binding) {
+      refresh();
+      observers += 1;
+      inner.__registerBinding(key, binding);
+      return () => derived.__unregisterBinding(key, binding);
+    },
+    __unregisterBinding(key, binding) {
+      const removed = inner.__unregisterBinding(key, binding);
+      if (removed) observers -= 1;
+      return removed;
+    },
+  };
+  return derived;
 }
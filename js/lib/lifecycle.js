@@ -1,24 +1,76 @@
+import { createScope, h, onCleanup, reportError } from "./h.js";
+import { transitionContent } from "./transition.js";
+
 /**
  * @fileoverview Lifecycle management system for views.
  * Provides hooks like onInit, onMount, onUnmount for view lifecycle management.
  */
 
+/**
+ * @typedef {import("../router.js").RouteContext} RouteContext
+ */
+
 /**
  * @typedef {Object} ViewLifecycle
- * @property {() => void|Promise<void>} [onInit] - Called before rendering, ideal for store initialization
- * @property {() => void|Promise<void>} [onMount] - Called after DOM is mounted
+ * @property {(route?: RouteContext) => void|Promise<void>} [onInit] - Called before rendering, ideal for store initialization
+ * @property {(route?: RouteContext) => void|Promise<void>} [onMount] - Called after DOM is mounted
  * @property {() => void|Promise<void>} [onUnmount] - Called before view is unmounted
- * @property {() => Node} render - Function that returns the view's DOM content
+ * @property {(route?: RouteContext) => Node} render - Function that returns the view's DOM content.
+ * With `load`, it is called as `render(data, route)`
+ * @property {(route: RouteContext & { signal: AbortSignal }) => Promise<unknown>} [load] - Loads the data
+ * the view renders. Results are cached per route (path and query); `signal` aborts when the view is left
+ * @property {(route?: RouteContext) => Node} [pending] - Shown while `load()` runs without cached data
+ * @property {(error: unknown, retry: () => Promise<void>, route?: RouteContext) => Node} [error] - Shown
+ * when `load()` fails; `retry` renders the view again
+ * @property {boolean} [revalidate=true] - Render cached data right away and load fresh data in the background
+ * @property {(route?: RouteContext) => string} [cacheKey] - Key the loaded data is cached under
+ * @property {string} [transition] - Transition name used when the view's content replaces the previous
+ * one (see `transition.js`)
+ * @property {(error: unknown, reset: () => Promise<void>) => Node} [fallback] - Rendered in place of the
+ * view when `onInit`, `render`, `onMount` or one of its bindings throws; `reset` renders the view again
+ */
+
+/**
+ * @typedef {Object} MountedView
+ * @property {string} viewName - View identifier.
+ * @property {ViewLifecycle} lifecycle - Lifecycle configuration.
+ * @property {Element} container - Element the view is mounted in.
+ * @property {ReturnType<typeof createScope>} scope - Bindings and subscriptions created by the view.
  */
 
 const activeLifecycles = new Map();
+// Mounted view instances, in mount order (parents before their child routes)
+const mountedViews = new Set();
+// Data loaded by views: view name → (cache key → entry), least recently used first
+const dataCache = new Map();
+const DATA_CACHE_SIZE = 20;
 
 /**
  * Creates a view with lifecycle hooks support.
  *
  * @param {string} viewName - Unique identifier for the view
  * @param {ViewLifecycle} lifecycle - Lifecycle configuration
- * @returns {() => Promise<void>} View render function with lifecycle support
+ * @returns {(route?: RouteContext) => Promise<void>} View render function with lifecycle support.
+ * The route context (params and query) given by the router is passed to `onInit`, `render` and `onMount`.
+ * The view mounts into `route.container` (the parent's outlet for child routes), or `#main-content`.
+ * `route.signal` is aborted when a newer navigation supersedes this one; the view is then
+ * not rendered after `onInit`, so `onInit` can pass the signal to `fetch()`.
+ * Views already mounted in the container are unmounted first. Bindings, `subscribe` calls
+ * and `on()` delegations created synchronously by the hooks and `render` are disposed when
+ * the view unmounts, and `render` can use `onMount`/`onCleanup` from `h.js`.
+ * A view that throws is discarded (its bindings disposed, `onUnmount` called if it was
+ * mounted). With a `fallback` the error is reported to `onError` and the fallback is shown;
+ * without one the error is thrown to the router.
+ *
+ * With `load`, the view renders the loaded data. A visit whose data is cached renders it at
+ * once and, unless `revalidate` is false, loads it again in the background and re-renders if it
+ * changed (`onMount` isn't called again). Without cached data, a `pending` view is shown and the
+ * navigation completes right away; without `pending` the router waits for the data. A view
+ * whose route has a child (`route.hasChild`) always waits, so its outlet exists when the child
+ * renders, and doesn't re-render revalidated data over the child (the next visit gets it).
+ *
+ * With `transition`, content swaps are animated: a view transition where supported,
+ * otherwise the previous content leaves before the new one enters.
  *
  * @example
  * export const renderTable = createView('table', {
@@ -32,47 +84,383 @@ const activeLifecycles = new Map();
  *     return h('div', {}, 'content');
  *   }
  * });
+ *
+ * @example
+ * export const renderTask = createView('task', {
+ *   load: ({ params, signal }) => fetch(`/api/tasks/${params.id}`, { signal }).then((r) => r.json()),
+ *   pending: () => h('p', {}, 'Loading task...'),
+ *   error: (error, retry) => h('button', { onclick: retry }, 'Retry'),
+ *   render: (task) => h('h1', {}, task.title),
+ * });
  */
 export function createView(viewName, lifecycle) {
-  return async function renderView() {
-    // Cleanup previous instance if exists
-    if (activeLifecycles.has(viewName)) {
-      const previous = activeLifecycles.get(viewName);
-      if (previous.onUnmount) {
-        await previous.onUnmount();
-      }
+  return async function renderView(route) {
+    const container = route?.container ?? document.getElementById("main-content");
+    if (!container) {
+      throw new Error("main-content container not found");
     }
 
-    // Call onInit before rendering
-    if (lifecycle.onInit) {
-      await lifecycle.onInit();
-    }
+    // Cleanup the views currently mounted here (including a previous instance of this one)
+    await unmountViewsIn(container);
 
-    // Render the view
-    const content = lifecycle.render();
+    let phase = "onInit";
+    let settled = false;
+    // Error reported by a binding or component before the view settled
+    let pending = null;
+    // With a fallback the view is an error boundary for its bindings and components
+    const handleError = lifecycle.fallback
+      ? (error, source) => {
+          if (!settled) {
+            pending ??= { error, source };
+            return;
+          }
+          discardView(instance);
+          showFallback(error, source);
+        }
+      : undefined;
+    const scope = createScope({ onError: handleError });
+    const instance = { viewName, lifecycle, container, scope };
+    // Scope of the rendered content, replaced when revalidated data renders again
+    let contentScope = null;
+    // Aborts `load()` when the navigation is superseded or the view unmounts
+    const controller = new AbortController();
+    route?.signal?.addEventListener("abort", () => controller.abort(), { once: true });
+    scope.run(() =>
+      onCleanup(() => {
+        controller.abort();
+        contentScope?.dispose();
+      })
+    );
 
-    // Mount to DOM
-    const container = document.getElementById("main-content");
-    if (!container) {
-      throw new Error("main-content container not found");
-    }
+    const showFallback = (error, source) => {
+      reportError(error, { source, view: viewName });
+      const reset = () => (container.isConnected ? renderView(route) : Promise.resolve());
+      container.replaceChildren(lifecycle.fallback(error, reset));
+    };
+    const fail = (error) => {
+      discardView(instance);
+      // Errors of a superseded navigation are not shown
+      if (!lifecycle.fallback || route?.signal?.aborted) throw error;
+      showFallback(error, pending?.error === error ? pending.source : phase);
+    };
+    // For errors thrown once the router is no longer waiting for the view
+    const failInBackground = (error) => {
+      try {
+        fail(error);
+      } catch (unhandled) {
+        reportError(unhandled, { source: phase, view: viewName });
+      }
+    };
+    const showLoadError = (error) => {
+      discardView(instance);
+      reportError(error, { source: "load", view: viewName });
+      const retry = () => (container.isConnected ? renderView(route) : Promise.resolve());
+      container.replaceChildren(lifecycle.error(error, retry, route));
+    };
 
-    // Clear previous content
-    container.innerHTML = "";
-    container.appendChild(content);
+    // Renders content and swaps it in; false when the view was left meanwhile
+    const showContent = async (build) => {
+      const next = createScope({ onError: handleError });
+      let content;
+      try {
+        content = next.run(build);
+        if (pending) throw pending.error;
+        // Replace previous content
+        await transitionContent(container, content, lifecycle.transition);
+      } catch (error) {
+        next.dispose();
+        throw error;
+      }
+      // Superseded or unmounted while the transition ran
+      if (controller.signal.aborted) {
+        next.dispose();
+        discardView(instance);
+        return false;
+      }
+      contentScope?.dispose();
+      contentScope = next;
+
+      // Store lifecycle for cleanup
+      mountedViews.add(instance);
+      activeLifecycles.set(viewName, lifecycle);
+      return true;
+    };
+    const render = (data) =>
+      lifecycle.load ? lifecycle.render(data, route) : lifecycle.render(route);
+
+    const mountView = async (data) => {
+      phase = "render";
+      if (!(await showContent(() => render(data)))) return false;
 
-    // Call onMount after DOM is ready
-    if (lifecycle.onMount) {
       // Use requestAnimationFrame to ensure DOM is fully rendered
       await new Promise((resolve) => requestAnimationFrame(resolve));
-      await lifecycle.onMount();
-    }
+      // Unmounted by a newer navigation meanwhile
+      if (!mountedViews.has(instance)) return false;
+      phase = "onMount";
+      contentScope.mount();
+
+      // Call onMount after DOM is ready
+      if (lifecycle.onMount) {
+        await scope.run(() => lifecycle.onMount(route));
+      }
+      if (pending) throw pending.error;
+      settled = true;
+      return true;
+    };
 
-    // Store lifecycle for cleanup
-    activeLifecycles.set(viewName, lifecycle);
+    const key = lifecycle.load ? getCacheKey(lifecycle, route) : "";
+    const loadData = async () => {
+      const data = await lifecycle.load({ ...route, signal: controller.signal });
+      writeCache(viewName, key, data);
+      return data;
+    };
+    // Renders fresher data once the cached copy is on screen
+    const revalidate = (stale) => {
+      loadData().then(
+        async (data) => {
+          if (!mountedViews.has(instance) || !settled || isSameData(data, stale)) return;
+          // Rendering again would replace the child route's outlet
+          if (route?.hasChild) return;
+          settled = false;
+          try {
+            phase = "render";
+            if (!(await showContent(() => render(data)))) return;
+            settled = true;
+            contentScope.mount();
+          } catch (error) {
+            failInBackground(error);
+          }
+        },
+        (error) => {
+          // The stale data stays on screen
+          if (!controller.signal.aborted) {
+            reportError(error, { source: "load", view: viewName });
+          }
+        }
+      );
+    };
+
+    try {
+      // Call onInit before rendering
+      if (lifecycle.onInit) {
+        await scope.run(() => lifecycle.onInit(route));
+      }
+
+      // A newer navigation started while onInit was running
+      if (route?.signal?.aborted) {
+        scope.dispose();
+        return;
+      }
+
+      if (!lifecycle.load) {
+        await mountView();
+        return;
+      }
+
+      phase = "load";
+      const cached = readCache(viewName, key);
+      if (cached) {
+        if ((await mountView(cached.data)) && lifecycle.revalidate !== false) {
+          revalidate(cached.data);
+        }
+        return;
+      }
+
+      if (lifecycle.pending && !route?.hasChild) {
+        // The navigation completes with the pending content; the data renders when it arrives
+        phase = "pending";
+        if (!(await showContent(() => lifecycle.pending(route)))) return;
+        phase = "load";
+        loadData()
+          .then(
+            (data) => mountedViews.has(instance) && mountView(data),
+            (error) => {
+              if (controller.signal.aborted || !mountedViews.has(instance)) return;
+              if (!lifecycle.error) throw error;
+              showLoadError(error);
+            }
+          )
+          .catch(failInBackground);
+        return;
+      }
+
+      let data;
+      try {
+        data = await loadData();
+      } catch (error) {
+        if (controller.signal.aborted) {
+          scope.dispose();
+          return;
+        }
+        if (!lifecycle.error) throw error;
+        showLoadError(error);
+        return;
+      }
+      if (route?.signal?.aborted) {
+        scope.dispose();
+        return;
+      }
+      await mountView(data);
+    } catch (error) {
+      fail(error);
+    }
   };
 }
 
+/**
+ * Builds the key a view's loaded data is cached under: `cacheKey(route)` when given,
+ * otherwise the route path and query.
+ *
+ * @param {ViewLifecycle} lifecycle - Lifecycle configuration.
+ * @param {RouteContext} [route] - Route being rendered.
+ * @returns {string} Cache key.
+ */
+function getCacheKey(lifecycle, route) {
+  if (typeof lifecycle.cacheKey === "function") {
+    return String(lifecycle.cacheKey(route));
+  }
+  if (!route) return "";
+  const query = new URLSearchParams(route.query ?? {}).toString();
+  return query ? `${route.path}?${query}` : route.path;
+}
+
+/**
+ * Returns a view's cached data for a key, marking it as recently used.
+ *
+ * @param {string} viewName - View identifier.
+ * @param {string} key - Cache key.
+ * @returns {{ data: unknown }|undefined} Cached entry.
+ */
+function readCache(viewName, key) {
+  const entries = dataCache.get(viewName);
+  if (!entries?.has(key)) return undefined;
+  const entry = entries.get(key);
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+}
+
+/**
+ * Caches a view's loaded data, evicting the least recently used entries.
+ *
+ * @param {string} viewName - View identifier.
+ * @param {string} key - Cache key.
+ * @param {unknown} data - Loaded data.
+ * @returns {void}
+ */
+function writeCache(viewName, key, data) {
+  if (!dataCache.has(viewName)) dataCache.set(viewName, new Map());
+  const entries = dataCache.get(viewName);
+  entries.delete(key);
+  entries.set(key, { data });
+  if (entries.size > DATA_CACHE_SIZE) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Tells whether revalidated data matches what is shown, so the view isn't rendered again.
+ *
+ * @param {unknown} next - Fresh data.
+ * @param {unknown} previous - Data on screen.
+ * @returns {boolean}
+ */
+function isSameData(next, previous) {
+  if (Object.is(next, previous)) return true;
+  try {
+    return JSON.stringify(next) === JSON.stringify(previous);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Removes cached view data, e.g. after a mutation, so the next visit loads it again.
+ *
+ * @param {string} viewName - View identifier.
+ * @param {string} [key] - Cache key to remove; all of the view's entries when omitted.
+ * @returns {void}
+ *
+ * @example
+ * await saveTask(task);
+ * invalidateViewData("task", `tasks/${task.id}`);
+ */
+export function invalidateViewData(viewName, key) {
+  if (key === undefined) {
+    dataCache.delete(viewName);
+  } else {
+    dataCache.get(viewName)?.delete(key);
+  }
+}
+
+/**
+ * Discards a view that failed: disposes what it created and, if it was mounted,
+ * runs its `onUnmount` without waiting for it.
+ *
+ * @param {MountedView} instance - Failed view.
+ * @returns {void}
+ */
+function discardView(instance) {
+  if (forgetView(instance) && instance.lifecycle.onUnmount) {
+    Promise.resolve()
+      .then(() => instance.lifecycle.onUnmount())
+      .catch((error) => reportError(error, { source: "onUnmount", view: instance.viewName }));
+  }
+  instance.scope.dispose();
+}
+
+/**
+ * Removes a view from the mounted views.
+ *
+ * @param {MountedView} instance - Mounted view.
+ * @returns {boolean} True when the view was mounted.
+ */
+function forgetView(instance) {
+  if (!mountedViews.delete(instance)) return false;
+  if (activeLifecycles.get(instance.viewName) === instance.lifecycle) {
+    activeLifecycles.delete(instance.viewName);
+  }
+  return true;
+}
+
+/**
+ * Unmounts the views mounted in a container or inside it (child routes), deepest first,
+ * plus views whose container was removed from the document. Awaits each `onUnmount`
+ * and then disposes the bindings and subscriptions the view created.
+ * The router calls it before rendering the views of a new route.
+ *
+ * @param {Element} container - Element whose views are unmounted.
+ * @returns {Promise<void>}
+ */
+export async function unmountViewsIn(container) {
+  const instances = [...mountedViews].filter(
+    (instance) =>
+      container.contains(instance.container) || !instance.container.isConnected
+  );
+  for (const instance of instances.reverse()) {
+    await unmountInstance(instance);
+  }
+}
+
+/**
+ * Runs a view's `onUnmount` and disposes what it created.
+ *
+ * @param {MountedView} instance - Mounted view.
+ * @returns {Promise<void>}
+ */
+async function unmountInstance(instance) {
+  if (!forgetView(instance)) return;
+  try {
+    if (instance.lifecycle.onUnmount) {
+      await instance.lifecycle.onUnmount();
+    }
+  } catch (error) {
+    reportError(error, { source: "onUnmount", view: instance.viewName });
+  } finally {
+    instance.scope.dispose();
+  }
+}
+
 /**
  * Manually trigger unmount for a view (useful for cleanup).
  *
@@ -80,12 +468,11 @@ export function createView(viewName, lifecycle) {
  * @returns {Promise<void>}
  */
 export async function unmountView(viewName) {
-  if (activeLifecycles.has(viewName)) {
-    const lifecycle = activeLifecycles.get(viewName);
-    if (lifecycle.onUnmount) {
-      await lifecycle.onUnmount();
-    }
-    activeLifecycles.delete(viewName);
+  const instances = [...mountedViews].filter(
+    (instance) => instance.viewName === viewName
+  );
+  for (const instance of instances.reverse()) {
+    await unmountInstance(instance);
   }
 }
 
@@ -98,3 +485,19 @@ export async function unmountView(viewName) {
 export function getViewLifecycle(viewName) {
   return activeLifecycles.get(viewName);
 }
+
+/**
+ * Creates the element child routes render into. Parent views of nested routes
+ * include one in their content; it stays in place while child routes change.
+ *
+ * @param {Record<string, unknown>} [props] - Element props (e.g. `class`).
+ * @returns {HTMLElement} Outlet element.
+ *
+ * @example
+ * render() {
+ *   return h("section", {}, [h("nav", {}, tabs), createOutlet({ class: "settings-pane" })]);
+ * }
+ */
+export function createOutlet(props = {}) {
+  return h("div", { ...props, "data-router-outlet": "" });
+}
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Persistence adapter for stores created by `createStore`.
+ * Hydrates a store from Web Storage or IndexedDB, writes changes back (debounced),
+ * keeps tabs in sync and migrates persisted data between schema versions.
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {(key: string) => string|null|Promise<string|null>} getItem
+ * @property {(key: string, value: string) => void|Promise<void>} setItem
+ * @property {(key: string) => void|Promise<void>} removeItem
+ */
+
+/**
+ * @typedef {Object} PersistOptions
+ * @property {string} key - Storage key for this store.
+ * @property {"local"|"session"|"indexeddb"|StorageAdapter} [storage="local"] - Where the state is kept.
+ * @property {number} [version=1] - Schema version written alongside the data.
+ * @property {(state: Record<string, unknown>, fromVersion: number) => Record<string, unknown>} [migrate]
+ * Upgrades data written by another version. Without it, data from another version is discarded.
+ * @property {string[]|((state: Record<string, unknown>) => Record<string, unknown>)} [include]
+ * State keys to persist, or a function picking the persisted slice. Defaults to the whole state.
+ * @property {number} [debounce=100] - Delay in milliseconds before writing changes.
+ * @property {boolean} [sync=true] - Apply changes made in other tabs.
+ */
+
+/**
+ * @typedef {Object} PersistHandle
+ * @property {Promise<void>} ready - Resolves once the store is hydrated. Rejects when the persisted
+ * state can't be read or migrated; the store then keeps its initial state.
+ * @property {() => Promise<void>} flush - Writes any pending change immediately.
+ * @property {() => Promise<void>} clear - Removes the persisted data.
+ * @property {() => void} dispose - Stops persisting and syncing.
+ */
+
+const DEFAULT_DEBOUNCE = 100;
+
+/**
+ * Persists a store. Hydration is synchronous for Web Storage, so views rendered right
+ * after the call already see the saved state; IndexedDB hydrates asynchronously (`ready`).
+ *
+ * @param {{ get: () => Record<string, unknown>, update: (patch: Record<string, unknown>, options?: { history?: boolean }) => void, subscribe: (fn: (s: any) => void) => () => boolean }} store
+ * Store produced by `createStore`.
+ * @param {PersistOptions} options - Persistence configuration.
+ * @returns {PersistHandle} Handle to flush, clear or stop persistence.
+ *
+ * @example
+ * persist(tableStore, {
+ *   key: "table",
+ *   include: ["sortKey", "sortDirection"],
+ *   version: 2,
+ *   migrate: (state, from) => (from < 2 ? { ...state, sortDirection: "asc" } : state),
+ * });
+ */
+export function persist(store, options = {}) {
+  if (!store || typeof store.subscribe !== "function") {
+    throw new Error("persist requires a store created by createStore.");
+  }
+  if (typeof options.key !== "string" || options.key.length === 0) {
+    throw new Error("persist requires a storage key.");
+  }
+
+  const {
+    key,
+    version = 1,
+    migrate,
+    include,
+    debounce = DEFAULT_DEBOUNCE,
+    sync = true,
+  } = options;
+  const adapter = resolveStorage(options.storage ?? "local", key);
+  let timer = null;
+  let applying = false;
+  let disposed = false;
+  let lastWritten = null;
+
+  /**
+   * Decodes a stored payload and merges it into the store.
+   *
+   * @param {string|null} raw - Serialized payload.
+   * @returns {void}
+   */
+  function applyRaw(raw) {
+    if (raw == null || disposed) return;
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Ignoring unreadable persisted state "${key}":`, error);
+      return;
+    }
+    if (!entry || typeof entry !== "object" || !entry.state) return;
+
+    let state = entry.state;
+    const storedVersion = typeof entry.version === "number" ? entry.version : 0;
+    if (storedVersion !== version) {
+      if (typeof migrate !== "function") return;
+      state = migrate(state, storedVersion);
+      if (!state) return;
+    }
+
+    lastWritten = raw;
+    applying = true;
+    try {
+      // Hydration and other tabs' changes are not something the user can undo here
+      store.update(pick(state, include), { history: false });
+      // Deliver scheduled notifications while writes are still suppressed
+      store.flush?.();
+    } finally {
+      applying = false;
+    }
+  }
+
+  /**
+   * Serializes the persisted slice and writes it when it changed.
+   *
+   * @returns {Promise<void>}
+   */
+  async function write() {
+    clearTimeout(timer);
+    timer = null;
+    const raw = JSON.stringify({ version, state: pick(store.get(), include) });
+    if (raw === lastWritten) return;
+    lastWritten = raw;
+    try {
+      await adapter.setItem(key, raw);
+      adapter.notify?.(raw);
+    } catch (error) {
+      console.warn(`Could not persist state "${key}":`, error);
+    }
+  }
+
+  let ready;
+  try {
+    const pending = adapter.getItem(key);
+    ready =
+      pending && typeof pending.then === "function"
+        ? pending.then(applyRaw)
+        : Promise.resolve(applyRaw(pending));
+  } catch (error) {
+    // Blocked storage or a failing `migrate` must not break the module calling persist()
+    ready = Promise.reject(error);
+  }
+  // The store keeps its initial state; `ready` still rejects for callers awaiting it
+  ready.catch((error) => {
+    console.warn(`Could not read persisted state "${key}":`, error);
+  });
+
+  const unsubscribe = store.subscribe(() => {
+    if (applying || disposed) return;
+    clearTimeout(timer);
+    timer = setTimeout(write, debounce);
+  });
+
+  const flushPending = () => {
+    if (timer !== null) write();
+  };
+  const applySynced = (raw) => {
+    try {
+      applyRaw(raw);
+    } catch (error) {
+      console.warn(`Could not apply synced state "${key}":`, error);
+    }
+  };
+  const stopSync = sync ? adapter.watch?.(applySynced) : undefined;
+  window.addEventListener("pagehide", flushPending);
+
+  return {
+    ready,
+    flush: () => (timer !== null ? write() : Promise.resolve()),
+    clear: async () => {
+      clearTimeout(timer);
+      timer = null;
+      lastWritten = null;
+      await adapter.removeItem(key);
+    },
+    dispose: () => {
+      flushPending();
+      disposed = true;
+      unsubscribe();
+      stopSync?.();
+      window.removeEventListener("pagehide", flushPending);
+    },
+  };
+}
+
+/**
+ * Picks the persisted slice of a state object.
+ *
+ * @param {Record<string, unknown>} state - Full state.
+ * @param {PersistOptions['include']} include - Keys or picker function.
+ * @returns {Record<string, unknown>} Slice to persist or merge.
+ */
+function pick(state, include) {
+  if (typeof include === "function") return include(state);
+  if (!Array.isArray(include)) return state;
+  const slice = {};
+  include.forEach((name) => {
+    if (Object.prototype.hasOwnProperty.call(state, name)) {
+      slice[name] = state[name];
+    }
+  });
+  return slice;
+}
+
+/**
+ * Builds the adapter for the configured storage. Built-in adapters also know how to
+ * watch for writes from other tabs (`watch`) and to announce their own (`notify`).
+ *
+ * @param {PersistOptions['storage']} storage - Storage option.
+ * @param {string} key - Storage key, used to filter cross-tab events.
+ * @returns {StorageAdapter & { watch?: (onChange: (raw: string|null) => void) => () => void, notify?: (raw: string) => void }}
+ */
+function resolveStorage(storage, key) {
+  if (storage === "local" || storage === "session") {
+    // Read on use: the getter itself throws where storage is blocked (e.g. sandboxed iframes)
+    const area = () => (storage === "local" ? window.localStorage : window.sessionStorage);
+    return {
+      getItem: (name) => area().getItem(name),
+      setItem: (name, value) => area().setItem(name, value),
+      removeItem: (name) => area().removeItem(name),
+      watch(onChange) {
+        const handler = (event) => {
+          if (event.key === key && event.storageArea === area()) {
+            onChange(event.newValue);
+          }
+        };
+        window.addEventListener("storage", handler);
+        return () => window.removeEventListener("storage", handler);
+      },
+    };
+  }
+  if (storage === "indexeddb") {
+    return createIndexedDBStorage(key);
+  }
+  if (
+    storage &&
+    typeof storage.getItem === "function" &&
+    typeof storage.setItem === "function" &&
+    typeof storage.removeItem === "function"
+  ) {
+    return storage;
+  }
+  throw new Error(`Unsupported persist storage "${String(storage)}".`);
+}
+
+const IDB_NAME = "no-framework-state";
+const IDB_STORE = "stores";
+let databasePromise = null;
+
+/**
+ * Opens (once) the IndexedDB database used for persisted stores.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(IDB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs a single request against the persisted-stores object store.
+ *
+ * @param {IDBTransactionMode} mode - Transaction mode.
+ * @param {(objectStore: IDBObjectStore) => IDBRequest} run - Issues the request.
+ * @returns {Promise<any>} Request result.
+ */
+async function idbRequest(mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB adapter. IndexedDB has no `storage` event, so tabs announce writes
+ * over a `BroadcastChannel` when available.
+ *
+ * @param {string} key - Storage key, used to name the sync channel.
+ * @returns {StorageAdapter & { watch: (onChange: (raw: string|null) => void) => () => void, notify: (raw: string) => void }}
+ */
+function createIndexedDBStorage(key) {
+  const channel =
+    typeof BroadcastChannel === "function"
+      ? new BroadcastChannel(`persist:${key}`)
+      : null;
+  return {
+    getItem: (name) =>
+      idbRequest("readonly", (objectStore) => objectStore.get(name)).then(
+        (value) => value ?? null
+      ),
+    setItem: (name, value) =>
+      idbRequest("readwrite", (objectStore) => objectStore.put(value, name)),
+    removeItem: (name) =>
+      idbRequest("readwrite", (objectStore) => objectStore.delete(name)),
+    notify: (raw) => channel?.postMessage(raw),
+    watch(onChange) {
+      if (!channel) return () => {};
+      const handler = (event) => onChange(event.data);
+      channel.addEventListener("message", handler);
+      return () => channel.removeEventListener("message", handler);
+    },
+  };
+}
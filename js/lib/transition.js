@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Enter/leave transitions for views, list items and modals.
+ * View swaps use the View Transitions API when the browser supports it. Otherwise, and for
+ * single elements, transitions run as CSS class phases named after the transition:
+ * an entering element gets `<name>-enter-from` and `<name>-enter-active`, then
+ * `<name>-enter-to` from the next frame until its transition or animation ends; a leaving
+ * element goes through the same `leave` classes before it is removed.
+ * Animations are skipped when the user prefers reduced motion.
+ *
+ * @example
+ * // .fade-enter-active, .fade-leave-active { transition: opacity 0.2s; }
+ * // .fade-enter-from, .fade-leave-to { opacity: 0; }
+ * container.append(el);
+ * enter(el, "fade");
+ * await leave(el, "fade");
+ * el.remove();
+ */
+
+/**
+ * Tells whether the user asked the system to minimize animations.
+ *
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return (
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches
+  );
+}
+
+/**
+ * Runs the enter phase on an element that was just inserted.
+ *
+ * @param {Node} el - Entering element. Other nodes resolve right away.
+ * @param {string} name - Transition name, the prefix of the phase classes.
+ * @returns {Promise<void>} Resolves once the transition ends.
+ */
+export function enter(el, name) {
+  return runPhase(el, name, "enter");
+}
+
+/**
+ * Runs the leave phase on an element; remove it once the promise resolves.
+ *
+ * @param {Node} el - Leaving element. Other nodes resolve right away.
+ * @param {string} name - Transition name, the prefix of the phase classes.
+ * @returns {Promise<void>} Resolves once the transition ends.
+ */
+export function leave(el, name) {
+  return runPhase(el, name, "leave");
+}
+
+/**
+ * Replaces an element's children with a transition. With the View Transitions API the
+ * swap is captured by `document.startViewTransition()` (the transition name is exposed as
+ * `data-transition` on `<html>` so CSS can target `::view-transition-*` per transition);
+ * otherwise the current children leave before the new content enters.
+ *
+ * @param {Element} container - Element whose children are replaced.
+ * @param {Node|null} content - New content.
+ * @param {string} [name] - Transition name; without one the swap is immediate.
+ * @returns {Promise<void>} Resolves once the new content is in place (not when it finished entering).
+ */
+export async function transitionContent(container, content, name) {
+  const swap = () => container.replaceChildren(...(content ? [content] : []));
+  if (!name || prefersReducedMotion()) {
+    swap();
+    return;
+  }
+
+  if (typeof document.startViewTransition === "function") {
+    const root = document.documentElement;
+    root.dataset.transition = name;
+    const transition = document.startViewTransition(swap);
+    const clear = () => {
+      if (root.dataset.transition === name) delete root.dataset.transition;
+    };
+    transition.finished.then(clear, clear);
+    await transition.updateCallbackDone;
+    return;
+  }
+
+  await Promise.all([...container.children].map((el) => leave(el, name)));
+  swap();
+  [...container.children].forEach((el) => enter(el, name));
+}
+
+/**
+ * Runs an enter or leave phase.
+ *
+ * @param {Node} el - Element to animate.
+ * @param {string} name - Transition name.
+ * @param {"enter"|"leave"} phase - Phase to run.
+ * @returns {Promise<void>}
+ */
+function runPhase(el, name, phase) {
+  if (!(el instanceof Element) || !name || prefersReducedMotion()) {
+    return Promise.resolve();
+  }
+  const from = `${name}-${phase}-from`;
+  const active = `${name}-${phase}-active`;
+  const to = `${name}-${phase}-to`;
+  el.classList.add(from, active);
+
+  return new Promise((resolve) => {
+    // Let the browser render the `from` state before moving to `to`
+    nextFrame(() => {
+      el.classList.remove(from);
+      el.classList.add(to);
+      setTimeout(() => {
+        el.classList.remove(active, to);
+        resolve();
+      }, getTransitionDuration(el));
+    });
+  });
+}
+
+/**
+ * Calls a function after the next rendered frame.
+ *
+ * @param {() => void} callback - Function to call.
+ * @returns {void}
+ */
+function nextFrame(callback) {
+  requestAnimationFrame(() => requestAnimationFrame(callback));
+}
+
+/**
+ * Longest CSS transition or animation (duration plus delay) applying to an element.
+ *
+ * @param {Element} el - Animated element.
+ * @returns {number} Milliseconds.
+ */
+function getTransitionDuration(el) {
+  const style = getComputedStyle(el);
+  return Math.max(
+    longestTiming(style.transitionDuration, style.transitionDelay),
+    longestTiming(style.animationDuration, style.animationDelay)
+  );
+}
+
+/**
+ * Combines comma-separated CSS durations and delays, as the browser pairs them.
+ *
+ * @param {string} durations - e.g. `"0.2s, 150ms"`.
+ * @param {string} delays - e.g. `"0s"`.
+ * @returns {number} Longest duration plus delay, in milliseconds.
+ */
+function longestTiming(durations = "", delays = "") {
+  const delayList = delays.split(",").map(toMilliseconds);
+  return durations
+    .split(",")
+    .map((duration, index) => toMilliseconds(duration) + (delayList[index % delayList.length] || 0))
+    .reduce((longest, time) => Math.max(longest, time), 0);
+}
+
+/**
+ * Parses a CSS time value.
+ *
+ * @param {string} value - e.g. `"0.2s"` or `"150ms"`.
+ * @returns {number} Milliseconds, 0 when invalid.
+ */
+function toMilliseconds(value) {
+  const time = parseFloat(value);
+  if (Number.isNaN(time)) return 0;
+  return value.trim().endsWith("ms") ? time : time * 1000;
+}
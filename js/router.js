@@ -1,6 +1,83 @@
+import { computed, createScope, createStore, h, mount, reportError } from "./lib/h.js";
+import { unmountViewsIn } from "./lib/lifecycle.js";
+
 /**
  * @fileoverview Simple client-side router with async support and lazy-loaded views.
  * Exposes helpers to create lazy routes, bulk route maps, initialize routing, and navigate.
+ * Route names may be patterns with `:params` and a trailing `*` wildcard; matched params and
+ * the parsed query string are passed to route handlers. Routes can have `children` that
+ * render into an outlet of their parent view.
+ */
+
+/**
+ * @typedef {Object} RouteContext
+ * @property {string} name - Route name (pattern) that matched, e.g. `"tasks/:id"`.
+ * @property {string} path - Matched path without leading slash, e.g. `"tasks/42"`.
+ * @property {Record<string, string>} params - Decoded path params, e.g. `{ id: "42" }`. A wildcard is exposed as `params["*"]`.
+ * @property {Record<string, string|string[]>} query - Parsed query string; repeated keys become arrays.
+ * @property {Record<string, unknown>} meta - Route `meta` data, merged from parent to child routes.
+ * @property {AbortSignal} signal - Aborted when a newer navigation supersedes this one; pass it to
+ * `fetch()` and check it before rendering.
+ * @property {HTMLElement} [container] - Element the handler renders into: `#main-content`, or the
+ * parent route's outlet for child routes.
+ * @property {boolean} [hasChild] - True when a child route renders into the handler's
+ * `data-router-outlet`, which must be in place when the handler resolves.
+ * @property {unknown} [error] - Error that made the navigation fail (only passed to the `error` route).
+ * @property {() => Promise<boolean>} [retry] - Re-runs the failed navigation (only passed to the `error` route).
+ */
+
+/**
+ * @callback NavigationGuard
+ * Runs before a navigation. Return (or resolve) `false` to cancel it, a path string to
+ * redirect, or anything else to let it continue.
+ * @param {RouteContext} to - Route being entered.
+ * @param {RouteContext|null} from - Route being left (`null` on the initial load).
+ * @returns {boolean|string|void|Promise<boolean|string|void>}
+ */
+
+/**
+ * @typedef {Object} RouteHooks
+ * @property {NavigationGuard|NavigationGuard[]} [beforeEnter] - Runs before the route is entered.
+ * @property {NavigationGuard|NavigationGuard[]} [beforeLeave] - Runs before the route is left.
+ * @property {((to: RouteContext, from: RouteContext|null) => void)|Array<(to: RouteContext, from: RouteContext|null) => void>} [afterEach]
+ * Runs after the route has been rendered.
+ */
+
+/**
+ * @typedef {Object} RouteMeta
+ * @property {string|((route: RouteContext) => string)} [title] - Document title for the route.
+ * @property {string|((route: RouteContext) => string)} [description] - Content of `<meta name="description">`.
+ * @property {Record<string, unknown>} [meta] - Arbitrary data exposed as `route.meta` (e.g. `{ requiresAuth: true }`).
+ */
+
+/**
+ * @typedef {"hover"|"idle"|"eager"|false} PrefetchStrategy
+ * When to load a lazy route's module ahead of navigation: when a link to it is hovered or
+ * focused, once the browser is idle after start-up, or right away. `idle` and `eager`
+ * routes also load on hover if they haven't yet.
+ */
+
+/**
+ * @typedef {((route?: RouteContext) => Promise<void>) & { preload?: () => Promise<unknown> }} RouteHandler
+ * Route handler. Lazy handlers also expose `preload()`, which loads their module without rendering.
+ */
+
+/**
+ * @callback LoadingComponent
+ * Renders the placeholder shown while a route is still loading after `loadingDelay`.
+ * @param {RouteContext} route - Route being loaded.
+ * @returns {Node} Placeholder node.
+ */
+
+/**
+ * @typedef {RouteHooks & RouteMeta & { handler: RouteHandler, children?: Record<string, RouteEntry>, prefetch?: PrefetchStrategy, loading?: LoadingComponent }} RouteRecord
+ * Route handler plus per-route hooks, metadata, prefetch strategy and loading component. `children` are keyed by path relative to the route
+ * (`""` for the default child) and render into the element marked `data-router-outlet`.
+ */
+
+/**
+ * @typedef {RouteHandler|RouteRecord} RouteEntry
+ * A route is either a bare handler or a record with a handler and hooks.
  */
 
 // Helper function for lazy loading routes
@@ -8,40 +85,107 @@
  * Creates a lazy route handler that dynamically imports a view module and executes
  * its render function. Optionally accepts a custom function name to invoke.
  * Uses a global `window.moduleCache` Map if present to avoid re-importing.
+ * Failed imports (e.g. a chunk missing after a deploy or a flaky network) are retried
+ * with a growing delay before the error reaches the router. The handler's `preload()`
+ * loads the module ahead of time (see {@link prefetch}).
  *
  * @param {string} viewName - Logical view name (e.g., "home").
  * @param {string} viewPath - Module path to import (e.g., "./views/home.js").
  * @param {string|null} [functionName=null] - Optional render function to call from the module.
- * @returns {() => Promise<void>} An async route handler that imports and invokes the render function.
+ * @param {{ retries?: number }} [options] - `retries`: extra import attempts (default 2).
+ * @returns {RouteHandler} An async route handler that imports and invokes the render function with the route context.
  */
-export function createLazyRoute(viewName, viewPath, functionName = null) {
+export function createLazyRoute(
+  viewName,
+  viewPath,
+  functionName = null,
+  { retries = DEFAULT_IMPORT_RETRIES } = {}
+) {
   // If no function name provided, derive it from viewName (e.g., 'home' -> 'renderHome')
   const renderFunction =
     functionName ||
     `render${viewName.charAt(0).toUpperCase() + viewName.slice(1)}`;
 
-  return async () => {
-    // Ensure we work with a Map instance for caching
-    const cache =
-      window.moduleCache instanceof Map
-        ? window.moduleCache
-        : (window.moduleCache = new Map());
+  const preload = () => loadView(viewName, viewPath, renderFunction, retries);
 
-    if (!cache.has(viewName)) {
-      try {
-        const module = await import(viewPath);
-        cache.set(viewName, module[renderFunction]);
-      } catch (error) {
-        console.error(
-          `Error loading view "${viewName}" from "${viewPath}":`,
-          error
-        );
-        throw error;
-      }
+  const handler = async (route) => {
+    let render;
+    try {
+      render = await preload();
+    } catch (error) {
+      console.error(
+        `Error loading view "${viewName}" from "${viewPath}":`,
+        error
+      );
+      throw error;
     }
-
-    return cache.get(viewName)();
+    // A newer navigation started while the module was loading
+    if (route?.signal?.aborted) return undefined;
+    // The import ended the synchronous part of the handler; render in its level's scope
+    const scope = handlerScopes.get(route);
+    return scope ? scope.run(() => render(route)) : render(route);
   };
+  handler.preload = preload;
+  return handler;
+}
+
+const DEFAULT_IMPORT_RETRIES = 2;
+const IMPORT_RETRY_DELAY = 300;
+// Imports in flight by view name, shared by navigations and prefetches
+const pendingImports = new Map();
+// Scope of each running route handler, by the route context it was given
+const handlerScopes = new WeakMap();
+
+/**
+ * Loads a view's render function into `window.moduleCache`, importing its module once.
+ *
+ * @param {string} viewName - Cache key.
+ * @param {string} viewPath - Module path.
+ * @param {string} renderFunction - Export to cache.
+ * @param {number} retries - Extra import attempts.
+ * @returns {Promise<(route?: RouteContext) => unknown>} The render function.
+ */
+function loadView(viewName, viewPath, renderFunction, retries) {
+  // Ensure we work with a Map instance for caching
+  const cache =
+    window.moduleCache instanceof Map
+      ? window.moduleCache
+      : (window.moduleCache = new Map());
+
+  if (cache.has(viewName)) return Promise.resolve(cache.get(viewName));
+  if (!pendingImports.has(viewName)) {
+    const pending = importWithRetry(viewPath, retries)
+      .then((module) => {
+        cache.set(viewName, module[renderFunction]);
+        return module[renderFunction];
+      })
+      .finally(() => pendingImports.delete(viewName));
+    pendingImports.set(viewName, pending);
+  }
+  return pendingImports.get(viewName);
+}
+
+/**
+ * Imports a module, retrying failed attempts. Retries add a cache-busting query
+ * because browsers remember failed module fetches.
+ *
+ * @param {string} path - Module path.
+ * @param {number} retries - Extra attempts after the first failure.
+ * @returns {Promise<Record<string, unknown>>} The module namespace.
+ */
+async function importWithRetry(path, retries) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await import(
+        /* @vite-ignore */ attempt === 0 ? path : `${path}?retry=${attempt}`
+      );
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      await new Promise((resolve) =>
+        setTimeout(resolve, IMPORT_RETRY_DELAY * (attempt + 1))
+      );
+    }
+  }
 }
 
 // Even more convenient helper for standard view structure
@@ -50,7 +194,7 @@ export function createLazyRoute(viewName, viewPath, functionName = null) {
  *
  * @param {string} viewName - View name (e.g., "home").
  * @param {string|null} [customPath=null] - Optional custom module path.
- * @returns {() => Promise<void>} Lazy route handler.
+ * @returns {RouteHandler} Lazy route handler.
  */
 export function load(viewName, customPath = null) {
   const viewPath = customPath || `./views/${viewName}.js`;
@@ -59,17 +203,19 @@ export function load(viewName, customPath = null) {
 
 // Helper to create multiple routes at once
 /**
- * @typedef {Object<string, string|{view: string, path?: string, function?: string}>} RouteDefinitions
- * A map from route name to either a simple view name string or a config object.
+ * @typedef {Object<string, string|(RouteHooks & RouteMeta & {view: string, path?: string, function?: string, children?: RouteDefinitions})>} RouteDefinitions
+ * A map from route name (or pattern such as `"tasks/:id"`) to either a simple view name string or a config object.
  */
 /**
  * Creates a routes map from a route definitions object.
  *
  * Simple form: `{ home: 'home' }` becomes `{ home: () => import('./views/home.js')... }`.
- * Advanced form supports custom path and render function name.
+ * Advanced form supports custom path, render function name, route hooks
+ * (`beforeEnter`, `beforeLeave`, `afterEach`), metadata (`title`, `description`, `meta`),
+ * a `prefetch` strategy, a `loading` component and nested `children` definitions; routes with any of these become route records.
  *
  * @param {RouteDefinitions} routeDefinitions - Route configuration map.
- * @returns {Record<string, () => Promise<void>>} A map of route handlers by route name.
+ * @returns {Record<string, RouteEntry>} A map of route entries by route name.
  */
 export function createRoutes(routeDefinitions) {
   const routes = {};
@@ -80,140 +226,1261 @@ export function createRoutes(routeDefinitions) {
       routes[routeName] = load(config);
     } else if (config.view) {
       // Advanced case: custom configuration
-      routes[routeName] = createLazyRoute(
+      const handler = createLazyRoute(
         config.view,
         config.path || `./views/${config.view}.js`,
         config.function
       );
+      const options = pickRouteOptions(config);
+      const children = config.children ? createRoutes(config.children) : null;
+      routes[routeName] =
+        options || children
+          ? { handler, ...options, ...(children && { children }) }
+          : handler;
     }
   }
 
   return routes;
 }
 
+const ROUTE_OPTION_NAMES = [
+  "beforeEnter",
+  "beforeLeave",
+  "afterEach",
+  "title",
+  "description",
+  "meta",
+  "prefetch",
+  "loading",
+];
+
+/**
+ * Extracts route hooks and metadata from a route config.
+ *
+ * @param {Object} config - Route config.
+ * @returns {(RouteHooks & RouteMeta)|null} Options, or `null` when none are defined.
+ */
+function pickRouteOptions(config) {
+  const options = {};
+  ROUTE_OPTION_NAMES.forEach((name) => {
+    if (config[name]) options[name] = config[name];
+  });
+  return Object.keys(options).length > 0 ? options : null;
+}
+
+/**
+ * Reads the current route URL from the browser location. In history mode it is the
+ * path below the base path; in hash mode it is the fragment (`#/tasks/42?tab=1`).
+ *
+ * @returns {string} Route URL such as `/tasks/42?tab=history`.
+ */
+function getCurrentUrl() {
+  if (router.mode === "hash") {
+    return window.location.hash.slice(1) || "/";
+  }
+  const { pathname, search, hash } = window.location;
+  return (stripBase(pathname) ?? pathname) + search + hash;
+}
+
+/**
+ * Removes the base path from a browser path.
+ *
+ * @param {string} pathname - Browser path, e.g. `/app/tasks`.
+ * @returns {string|null} Route path (e.g. `/tasks`), or `null` when the path is outside the base.
+ */
+function stripBase(pathname) {
+  const { base } = router;
+  if (!base) return pathname;
+  if (pathname !== base && !pathname.startsWith(`${base}/`)) return null;
+  return pathname.slice(base.length) || "/";
+}
+
+/**
+ * Turns a route URL into the URL stored in the browser history.
+ *
+ * @param {string} url - Route URL, e.g. `/tasks/42`.
+ * @returns {string} Browser URL (`/app/tasks/42`, or `#/tasks/42` in hash mode).
+ */
+function toBrowserUrl(url) {
+  return router.mode === "hash" ? `#${url}` : `${router.base}${url}`;
+}
+
+/**
+ * Normalizes the `base` option: `"/app/"` becomes `"/app"`, `"/"` becomes `""`.
+ *
+ * @param {string} [base] - Base path.
+ * @returns {string} Base path without trailing slash.
+ */
+function normalizeBase(base = "/") {
+  const trimmed = trimSlashes(base);
+  return trimmed ? `/${trimmed}` : "";
+}
+
+/**
+ * Splits a URL path into route path (without leading slash, `home` for `/`), query string
+ * and fragment.
+ *
+ * @param {string} url - URL path with optional query string and `#fragment`.
+ * @returns {{ path: string, search: string, hash: string }} Location parts; `hash` has no `#`.
+ */
+function splitUrl(url) {
+  const [withoutHash, ...hashParts] = url.split("#");
+  const [rawPath, rawSearch = ""] = withoutHash.split("?");
+  const path = rawPath.replace(/^\/+|\/+$/g, "");
+  return {
+    path: path || "home",
+    search: rawSearch ? `?${rawSearch}` : "",
+    hash: hashParts.join("#"),
+  };
+}
+
+/**
+ * @typedef {{ record: RouteRecord, keys: string[] }} RouteLevel
+ * One level of a nested route: its record and the params its pattern (including parents) defines.
+ */
+
+/**
+ * Compiles route names into matchers. Static routes are tried before patterns,
+ * patterns keep their definition order. Child routes are flattened into full patterns
+ * whose `chain` lists the records from the top-level route down to the child.
+ *
+ * @param {Record<string, RouteEntry>} routes - Route entries keyed by name or pattern.
+ * @returns {Array<{ name: string, chain: RouteLevel[], keys: string[], regex: RegExp }>} Route table.
+ */
+function compileRoutes(routes) {
+  const compiled = flattenRoutes(routes).map(({ name, chain }) => ({
+    name,
+    chain,
+    ...compilePattern(name),
+  }));
+  const isStatic = (route) => route.keys.length === 0;
+  return [...compiled.filter(isStatic), ...compiled.filter((r) => !isStatic(r))];
+}
+
+/**
+ * Flattens nested route entries into full patterns with their record chains.
+ *
+ * @param {Record<string, RouteEntry>} routes - Route entries keyed by (relative) pattern.
+ * @param {string} [parentName=""] - Pattern of the parent route.
+ * @param {RouteLevel[]} [parentChain=[]] - Levels of the parent route.
+ * @returns {Array<{ name: string, chain: RouteLevel[] }>} Flattened routes.
+ */
+function flattenRoutes(routes, parentName = "", parentChain = []) {
+  return Object.entries(routes).flatMap(([childName, entry]) => {
+    const record = toRouteRecord(entry);
+    const name = [parentName, trimSlashes(childName)].filter(Boolean).join("/");
+    const chain = [...parentChain, { record, keys: compilePattern(name).keys }];
+    if (!record.children) return [{ name, chain }];
+
+    const children = flattenRoutes(record.children, name, chain);
+    // Without a default ("") child, the parent still matches its own path
+    const hasIndex = Object.keys(record.children).some((key) => trimSlashes(key) === "");
+    return hasIndex ? children : [{ name, chain }, ...children];
+  });
+}
+
 /**
- * Gets the current route from the pathname.
- * @returns {string} Current route name.
+ * Removes leading and trailing slashes.
+ *
+ * @param {string} value - Path or pattern.
+ * @returns {string} Trimmed value.
  */
-function getCurrentRoute() {
-  const path = window.location.pathname;
-  // Remove leading slash and use 'home' as default
-  return path === "/" ? "home" : path.slice(1);
+function trimSlashes(value) {
+  return value.replace(/^\/+|\/+$/g, "");
 }
 
+/**
+ * Compiles a route pattern into a regular expression and its param names.
+ *
+ * @param {string} name - Route pattern, e.g. `"tasks/:id"`.
+ * @returns {{ keys: string[], regex: RegExp }} Matcher, tested against the path with a leading slash.
+ */
+function compilePattern(name) {
+  const keys = [];
+  // Each segment brings its leading slash, so an optional param can leave out both
+  const source = trimSlashes(name)
+    .split("/")
+    .map((segment) => {
+      if (segment === "*") {
+        keys.push("*");
+        return "/(.*)";
+      }
+      if (segment.startsWith(":")) {
+        const optional = segment.endsWith("?");
+        keys.push(segment.slice(1, optional ? -1 : undefined));
+        return optional ? "(?:/([^/]+))?" : "/([^/]+)";
+      }
+      return `/${segment.replace(/[.+?^${}()|[\]\\]/g, "\\$&")}`;
+    })
+    .join("");
+  return { keys, regex: new RegExp(`^${source}$`) };
+}
+
+/**
+ * Normalizes a route entry into a route record.
+ *
+ * @param {RouteEntry} entry - Handler or record.
+ * @returns {RouteRecord} Route record.
+ */
+function toRouteRecord(entry) {
+  return typeof entry === "function" ? { handler: entry } : entry;
+}
+
+/**
+ * Finds the route matching a path.
+ *
+ * @param {ReturnType<typeof compileRoutes>} table - Compiled routes.
+ * @param {string} path - Path without leading slash.
+ * @returns {{ route: ReturnType<typeof compileRoutes>[number], params: Record<string, string> }|null} Match, or `null` when
+ * nothing matches or a param is not valid percent-encoding.
+ */
+function matchRoute(table, path) {
+  for (const route of table) {
+    const match = route.regex.exec(`/${path}`);
+    if (!match) continue;
+    const params = {};
+    try {
+      route.keys.forEach((key, index) => {
+        const value = match[index + 1];
+        if (value !== undefined && value !== "") {
+          params[key] = decodeURIComponent(value);
+        }
+      });
+    } catch {
+      // Malformed escape (e.g. "%E0%A4%A"): no route can handle the path
+      return null;
+    }
+    return { route, params };
+  }
+  return null;
+}
+
+/**
+ * Parses a query string into an object. Repeated keys become arrays.
+ *
+ * @param {string} search - Query string, with or without leading `?`.
+ * @returns {Record<string, string|string[]>} Parsed query.
+ */
+export function parseQuery(search) {
+  const query = {};
+  new URLSearchParams(search).forEach((value, key) => {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  });
+  return query;
+}
+
+/**
+ * Resolves a location against the route table.
+ *
+ * @param {ReturnType<typeof compileRoutes>} table - Compiled routes.
+ * @param {{ path: string, search: string }} location - Path (without leading slash) and query string.
+ * @returns {{ chain: RouteLevel[], context: RouteContext }|null} Matched route levels and the route context.
+ */
+function resolveLocation(table, { path, search }) {
+  const match = matchRoute(table, path);
+  if (!match) return null;
+  return {
+    chain: match.route.chain,
+    context: {
+      name: match.route.name,
+      path,
+      params: match.params,
+      query: parseQuery(search),
+      meta: mergeRouteMeta(match.route.chain),
+    },
+  };
+}
+
+/**
+ * Merges the `meta` data of a route chain; children override their parents.
+ *
+ * @param {RouteLevel[]} chain - Route levels.
+ * @returns {Record<string, unknown>} Merged meta.
+ */
+function mergeRouteMeta(chain) {
+  return Object.assign({}, ...chain.map((level) => level.record.meta));
+}
+
+/**
+ * @typedef {Object} RouterOptions
+ * @property {NavigationGuard|NavigationGuard[]} [beforeEnter] - Global guard run before entering any route.
+ * @property {NavigationGuard|NavigationGuard[]} [beforeLeave] - Global guard run before leaving any route.
+ * @property {((to: RouteContext, from: RouteContext|null) => void)|Array<(to: RouteContext, from: RouteContext|null) => void>} [afterEach]
+ * Global hook run after every completed navigation.
+ * @property {RouteEntry} [notFound] - Route rendered when no route matches. Defaults to a built-in "Page not found" view.
+ * @property {RouteEntry} [error] - Route rendered when a route fails to load or render. It receives
+ * the failed route context with `error` and `retry()`. Defaults to a built-in error view with a retry button.
+ * @property {"history"|"hash"} [mode="history"] - `history` uses real paths and needs a server with
+ * history fallback; `hash` keeps the route in the fragment (`/#/tasks/42`) and works on any static host.
+ * @property {string} [base="/"] - Path the app is served from in history mode, e.g. `"/my-app/"`.
+ * @property {string|((title: string) => string)} [titleTemplate] - Formats route titles; `%s` is
+ * replaced by the title. Defaults to `"%s | <initial document title>"`.
+ * @property {PrefetchStrategy} [prefetch=false] - Prefetch strategy for routes that don't set their own.
+ * @property {LoadingComponent} [loading] - Loading component for routes that don't set their own.
+ * @property {number} [loadingDelay=200] - Milliseconds a route may take before its loading component
+ * is shown (and `navigating.pending` turns on).
+ * @property {number} [loadingMinDuration=300] - Minimum milliseconds a shown loading component stays visible.
+ */
+
+// Active router state, set by initRouter and used by navigateTo
+let router = null;
+const MAX_REDIRECTS = 10;
+
+const routeState = createStore({
+  name: null,
+  path: null,
+  params: {},
+  query: {},
+  meta: {},
+  title: null,
+});
+
+/**
+ * Read-only store holding the current route: `name`, `path`, `params`, `query`, `meta`
+ * and the resolved `title`. It updates once the new view has rendered, so navigation
+ * components can subscribe to it or bind to it with `h.link`.
+ *
+ * @example
+ * routeStore.subscribe(({ path }) => highlight(path.split("/")[0]));
+ * h("a", { href: "/tasks", class: h.link(routeStore, (route) => (route.name === "tasks" ? "active" : "")) }, "Tasks");
+ */
+export const routeStore = computed(routeState, (state) => state);
+
+const DEFAULT_LOADING_DELAY = 200;
+const DEFAULT_LOADING_MIN_DURATION = 300;
+
+const navigationState = createStore({ active: false, pending: false, to: null });
+
+/**
+ * Read-only store describing the navigation in progress: `active` while one runs,
+ * `pending` once it has taken longer than `loadingDelay`, and `to` with the target
+ * route's `name`, `path`, `params` and `query`. Lets a header show progress.
+ *
+ * @example
+ * navigating.subscribe(({ pending }) => header.classList.toggle("is-navigating", pending));
+ */
+export const navigating = computed(navigationState, (state) => state);
+
 // Initialize the router: loads the initial route and handles browser navigation events.
 /**
  * Initializes the router: loads the initial route and handles browser navigation events.
- * Uses History API (pushState) instead of hash-based routing.
+ * Uses History API (pushState) with real paths, or the URL fragment with `mode: "hash"`.
+ * Route keys can be patterns: `"tasks/:id"`, `"users/:id/edit"`, `"files/*"`.
  *
- * @param {Record<string, () => Promise<void>>} routes - Route handlers keyed by route name.
+ * Guards run in this order: global `beforeLeave`, guards added with {@link onBeforeLeave},
+ * the current route's `beforeLeave`, global `beforeEnter`, the target route's `beforeEnter`. They also run for back/forward
+ * navigation; a cancelled popstate restores the previous URL.
+ *
+ * @param {Record<string, RouteEntry>} routes - Route handlers (or route records) keyed by route name or pattern.
+ * @param {RouterOptions} [options] - Global navigation hooks, error routes, mode and base path.
  * @returns {void}
  */
-export function initRouter(routes) {
-  // Handle initial route
-  const initialRoute = getCurrentRoute();
-  if (routes[initialRoute]) {
-    handleRouteAsync(routes[initialRoute], initialRoute);
+export function initRouter(routes, options = {}) {
+  if (options.mode && options.mode !== "history" && options.mode !== "hash") {
+    throw new Error(`Unknown router mode "${options.mode}". Use "history" or "hash".`);
   }
 
+  // Remember the position of each history entry so a cancelled popstate can be undone
+  const index = window.history.state?.index ?? 0;
+  window.history.replaceState({ ...window.history.state, index }, "");
+  // Scroll positions are saved per history entry and restored by the router
+  window.history.scrollRestoration = "manual";
+
+  router = {
+    table: compileRoutes(routes),
+    notFound: toRouteRecord(
+      options.notFound ?? { handler: renderNotFound, title: "Page not found" }
+    ),
+    error: toRouteRecord(options.error ?? renderRouteError),
+    defaultTitle: document.title,
+    defaultDescription: getDescriptionMeta()?.getAttribute("content") ?? null,
+    options,
+    mode: options.mode ?? "history",
+    base: normalizeBase(options.base),
+    current: null,
+    // Route URL (without fragment) of the current route
+    url: null,
+    // Levels currently rendered, with the params they were rendered for
+    chain: [],
+    // outlets[i] is the element level i of the current chain renders into
+    outlets: [],
+    // scopes[i] collects the bindings and subscriptions the handler of level i created
+    scopes: [],
+    depth: 0,
+    index,
+    // Leave guards mapped to the route level that registered them
+    leaveGuards: new Map(),
+    // Scroll position of each history entry, by index
+    scrollPositions: new Map(),
+    // Controller of the navigation in progress
+    controller: null,
+    ignoreNextPopstate: false,
+  };
+
+  // Handle initial route
+  navigate(getCurrentUrl(), { mode: "initial" });
+  schedulePrefetching();
+
   // Handle browser back/forward
-  window.addEventListener("popstate", () => {
-    const route = getCurrentRoute();
-    if (routes[route]) {
-      handleRouteAsync(routes[route], route);
+  window.addEventListener("popstate", (event) => {
+    if (router.ignoreNextPopstate) {
+      router.ignoreNextPopstate = false;
+      return;
+    }
+    let targetIndex = event.state?.index;
+    if (targetIndex === undefined) {
+      // A new entry the router did not create, e.g. a fragment edited in the address bar
+      targetIndex = router.index + 1;
+      router.scrollPositions.delete(targetIndex);
+      window.history.replaceState({ ...event.state, index: targetIndex }, "");
     }
+    navigate(getCurrentUrl(), {
+      mode: "pop",
+      delta: targetIndex - router.index,
+      targetIndex,
+    });
+  });
+
+  // Keep the scroll position of the current entry across reloads
+  window.addEventListener("pagehide", () => {
+    window.history.replaceState({ ...window.history.state, scroll: getScrollPosition() }, "");
   });
 
+  // Prefetch routes whose links are about to be used
+  const prefetchLink = (e) => {
+    const link = e.target.closest?.("a[href]");
+    if (!link) return;
+    const url = linkToRouteUrl(link.getAttribute("href"));
+    if (url === null) return;
+    const chain = resolveChain(splitUrl(url).path);
+    // Routes prefetched later (idle) or already (eager) also load early on hover
+    if (chain && getPrefetchStrategy(chain)) preloadChain(chain);
+  };
+  document.addEventListener("pointerover", prefetchLink);
+  document.addEventListener("focusin", prefetchLink);
+
   // Intercept link clicks for client-side navigation
   document.addEventListener("click", (e) => {
     const link = e.target.closest("a[href]");
     if (!link) return;
 
-    const href = link.getAttribute("href");
-    // Only handle internal links (starting with /)
-    if (href && href.startsWith("/")) {
+    const url = linkToRouteUrl(link.getAttribute("href"));
+    if (url !== null) {
       e.preventDefault();
-      const route = href === "/" ? "home" : href.slice(1);
-      navigateTo(route);
+      navigateTo(url);
     }
   });
 }
 
-// Handle async route loading with loading state
 /**
- * Handles a route transition with loading state and navigation updates.
+ * Starts prefetching for routes with the `eager` strategy and, once the browser is idle,
+ * for routes with the `idle` strategy.
  *
- * @param {() => (void|Promise<void>)} routeHandler - Handler to execute for the route.
- * @param {string} routeName - The name of the route being navigated to.
- * @returns {Promise<void>} Resolves when the handler completes.
+ * @returns {void}
  */
-async function handleRouteAsync(routeHandler, routeName) {
+function schedulePrefetching() {
+  const byStrategy = (strategy) =>
+    router.table.filter((route) => getPrefetchStrategy(route.chain) === strategy);
+
+  byStrategy("eager").forEach((route) => preloadChain(route.chain));
+  const whenIdle =
+    window.requestIdleCallback ?? ((callback) => setTimeout(callback, IDLE_PREFETCH_DELAY));
+  whenIdle(() => byStrategy("idle").forEach((route) => preloadChain(route.chain)));
+}
+
+const IDLE_PREFETCH_DELAY = 2000;
+
+/**
+ * Gets the prefetch strategy of a route: the deepest level's own, or the router default.
+ *
+ * @param {RouteLevel[]} chain - Route levels.
+ * @returns {PrefetchStrategy} Strategy.
+ */
+function getPrefetchStrategy(chain) {
+  return chain[chain.length - 1].record.prefetch ?? router.options.prefetch ?? false;
+}
+
+/**
+ * Preloads the modules of every level of a route.
+ *
+ * @param {RouteLevel[]} chain - Route levels.
+ * @returns {Promise<void>} Resolves once all modules are loaded; failures are logged.
+ */
+async function preloadChain(chain) {
+  const loads = chain.map(({ record }) => record.handler.preload?.());
+  const results = await Promise.allSettled(loads);
+  results.forEach((result) => {
+    if (result.status === "rejected") {
+      console.warn("Could not prefetch route:", result.reason);
+    }
+  });
+}
+
+/**
+ * Finds the route levels for a route name or path.
+ *
+ * @param {string} path - Route name (pattern) or path without leading slash.
+ * @returns {RouteLevel[]|null} Route levels, or `null` when nothing matches.
+ */
+function resolveChain(path) {
+  const named = router.table.find((route) => route.name === path);
+  return named?.chain ?? matchRoute(router.table, path)?.route.chain ?? null;
+}
+
+/**
+ * Loads the code of a route ahead of navigation, so visiting it doesn't wait for the import.
+ * Uses the same `window.moduleCache` as navigation; routes that aren't lazy are ignored.
+ *
+ * @param {string} route - Route name or path, e.g. `"table"`, `"tasks/:id"` or `"/tasks/42"`.
+ * @returns {Promise<void>} Resolves once the route's modules are loaded (failures are logged).
+ * @example
+ * prefetch("table");
+ */
+export function prefetch(route) {
+  if (!router) throw new Error("prefetch requires initRouter to run first.");
+  const chain = resolveChain(splitUrl(route).path);
+  if (!chain) {
+    console.warn(`Cannot prefetch unknown route "${route}".`);
+    return Promise.resolve();
+  }
+  return preloadChain(chain);
+}
+
+/**
+ * Maps a link `href` to a route URL when the router should handle it: `/path` links inside
+ * the base path in history mode, `#/path` links in hash mode. In hash mode, in-page
+ * anchors (`#section`) are kept inside the current route's fragment.
+ *
+ * @param {string|null} href - Raw `href` attribute.
+ * @returns {string|null} Route URL, or `null` for links the browser should follow.
+ */
+function linkToRouteUrl(href) {
+  if (!href) return null;
+  if (router.mode === "hash") {
+    if (href.startsWith("#/")) return href.slice(1);
+    if (href.startsWith("#") && href.length > 1 && router.url) return router.url + href;
+    return null;
+  }
+  // Only handle internal links (starting with /)
+  if (!href.startsWith("/") || href.startsWith("//")) return null;
+  const [pathname, search = ""] = href.split("?");
+  const path = stripBase(pathname);
+  return path === null ? null : path + (search ? `?${search}` : "");
+}
+
+/**
+ * Returns the route currently rendered by the router.
+ *
+ * @returns {RouteContext|null} Current route context, or `null` before the first navigation.
+ */
+export function getCurrentRoute() {
+  return router?.current ?? null;
+}
+
+/**
+ * Registers a leave guard for whatever route is active, e.g. to protect an unsaved form.
+ * Guards registered by a parent route stay active while its child routes change.
+ *
+ * @param {NavigationGuard} guard - Guard run before leaving the current route.
+ * @returns {() => boolean} Function removing the guard.
+ * @example
+ * const release = onBeforeLeave(() => !form.dirty || confirm("Discard changes?"));
+ */
+export function onBeforeLeave(guard) {
+  if (!router) throw new Error("onBeforeLeave requires initRouter to run first.");
+  router.leaveGuards.set(guard, router.depth);
+  return () => router.leaveGuards.delete(guard);
+}
+
+/**
+ * Runs guards in order until one cancels or redirects.
+ *
+ * @param {Array<NavigationGuard|Array<NavigationGuard|NavigationGuard[]|undefined>|undefined>} guards - Guards (or nested guard lists).
+ * @param {RouteContext} to - Target route.
+ * @param {RouteContext|null} from - Current route.
+ * @returns {Promise<true|false|string>} `true` to continue, `false` to cancel, or a redirect path.
+ */
+async function runGuards(guards, to, from) {
+  for (const guard of guards.flat(2)) {
+    if (typeof guard !== "function") continue;
+    const result = await guard(to, from);
+    if (result === false) return false;
+    if (typeof result === "string") return result;
+  }
+  return true;
+}
+
+/**
+ * Performs a navigation: resolves the URL, runs guards, updates history and renders.
+ * Starting a navigation aborts the one in progress: its `signal` is aborted and it stops
+ * before updating history, rendering further levels or applying route metadata.
+ *
+ * @param {string} url - Target URL path with optional query string.
+ * @param {{ mode: "initial"|"push"|"replace"|"pop", delta?: number, targetIndex?: number, redirects?: number }} navigation
+ * How the navigation was triggered. `pop` navigations have already changed the URL.
+ * @returns {Promise<boolean>} True when the route was rendered.
+ */
+async function navigate(url, navigation) {
+  router.controller?.abort();
+  const controller = new AbortController();
+  router.controller = controller;
+
+  navigationState.set({ active: true, pending: false, to: null });
+  const pendingTimer = setTimeout(() => {
+    if (router.controller === controller) navigationState.update({ pending: true });
+  }, router.options.loadingDelay ?? DEFAULT_LOADING_DELAY);
+
   try {
-    // Show loading state
-    showLoadingState();
+    return await runNavigation(url, navigation, controller.signal);
+  } catch (error) {
+    // Navigations start from event listeners without awaiting; report instead of rejecting
+    if (!controller.signal.aborted) reportError(error, { source: "navigation" });
+    return false;
+  } finally {
+    clearTimeout(pendingTimer);
+    if (router.controller === controller) {
+      router.controller = null;
+      navigationState.set({ active: false, pending: false, to: null });
+    }
+  }
+}
+
+/**
+ * Runs the steps of a navigation started by {@link navigate}.
+ *
+ * @param {string} url - Target URL path with optional query string.
+ * @param {{ mode: "initial"|"push"|"replace"|"pop", delta?: number, targetIndex?: number, redirects?: number }} navigation
+ * How the navigation was triggered.
+ * @param {AbortSignal} signal - Aborted when a newer navigation starts.
+ * @returns {Promise<boolean>} True when the route was rendered.
+ */
+async function runNavigation(url, { mode, delta = 0, targetIndex, redirects = 0 }, signal) {
+  const location = splitUrl(url);
+  const routeUrl = url.split("#")[0];
+
+  if (router.current && routeUrl === router.url && (location.hash || mode === "pop")) {
+    // Only the fragment changed: keep the view and scroll to the anchor
+    updateHistory(url, mode, targetIndex);
+    restoreScroll(mode, location.hash);
+    const anchor = findAnchor(location.hash);
+    if (anchor) focusElement(anchor);
+    return true;
+  }
 
-    // Execute route handler (could be sync or async)
-    await routeHandler();
+  const resolved = resolveLocation(router.table, location) ?? {
+    chain: [{ record: router.notFound, keys: [] }],
+    context: {
+      name: "notFound",
+      path: location.path,
+      params: {},
+      query: parseQuery(location.search),
+      meta: { ...router.notFound.meta },
+    },
+  };
 
-    // Update navigation after successful load
-    updateActiveNav(routeName);
+  const { chain } = resolved;
+  const to = { ...resolved.context, signal };
+  const { name, path, params, query } = to;
+  navigationState.update({ to: { name, path, params, query } });
+  const from = router.current;
+  const { options } = router;
+  const shared = countSharedLevels(router.chain, chain, to);
+  const leaving = router.chain.slice(shared).reverse();
+  const entering = chain.slice(shared);
 
-    // Hide loading state
-    hideLoadingState();
+  let verdict;
+  try {
+    verdict = await runGuards(
+      [
+        from ? options.beforeLeave : undefined,
+        from ? leaveGuardsFrom(shared) : undefined,
+        leaving.map((level) => level.record.beforeLeave),
+        options.beforeEnter,
+        entering.map((level) => level.record.beforeEnter),
+      ],
+      to,
+      from
+    );
   } catch (error) {
-    console.error(`Error loading route "${routeName}":`, error);
-    hideLoadingState();
-    // Could show error state here
+    if (!signal.aborted) {
+      reportError(error, { source: "guard", route: to.name });
+    }
+    verdict = false;
+  }
+
+  if (signal.aborted) {
+    // Superseded while guards ran; the browser did move for back/forward
+    if (mode === "pop") router.index = targetIndex;
+    return false;
+  }
+  if (verdict === false) {
+    if (mode === "pop" && delta !== 0) {
+      // The browser already moved; step back to where we were
+      router.ignoreNextPopstate = true;
+      window.history.go(-delta);
+    }
+    return false;
+  }
+  if (typeof verdict === "string") {
+    if (redirects >= MAX_REDIRECTS) {
+      updateHistory(url, mode, targetIndex);
+      await showNavigationError(
+        new Error(`Too many redirects while navigating to "${url}".`),
+        to
+      );
+      router.current = to;
+      router.url = routeUrl;
+      return false;
+    }
+    if (mode === "pop") router.index = targetIndex;
+    return navigate(buildUrl(verdict), {
+      mode: mode === "push" ? "push" : "replace",
+      redirects: redirects + 1,
+    });
+  }
+
+  updateHistory(url, mode, targetIndex);
+
+  leaveGuardsFrom(shared).forEach((guard) => router.leaveGuards.delete(guard));
+  await handleRouteAsync(chain, shared, to);
+  if (signal.aborted) return false;
+  router.current = to;
+  router.url = routeUrl;
+  applyRouteMeta(chain, to);
+
+  restoreScroll(mode, location.hash);
+  if (mode !== "initial") {
+    // Don't move focus on page load; afterwards, move it off the removed content
+    focusView(router.outlets[shared], location.hash);
   }
+
+  [options.afterEach, entering.map((level) => level.record.afterEach)]
+    .flat(2)
+    .forEach((hook) => {
+      if (typeof hook !== "function") return;
+      try {
+        hook(to, from);
+      } catch (error) {
+        // The route is rendered; a failing hook doesn't undo it or skip the others
+        reportError(error, { source: "afterEach", route: to.name });
+      }
+    });
+  return true;
 }
 
-// Simple loading state management
 /**
- * Shows the global loading indicator element if present.
+ * Records a navigation in the browser history, saving the scroll position of the entry being left.
+ *
+ * @param {string} url - Route URL.
+ * @param {"initial"|"push"|"replace"|"pop"} mode - Navigation mode.
+ * @param {number} [targetIndex] - Index of the entry a `pop` navigation moved to.
  * @returns {void}
  */
-function showLoadingState() {
-  const loadingEl = document.getElementById("loading");
-  if (loadingEl) {
-    loadingEl.style.display = "block";
+function updateHistory(url, mode, targetIndex) {
+  if (mode === "initial") return;
+  router.scrollPositions.set(router.index, getScrollPosition());
+
+  if (mode === "push") {
+    router.index += 1;
+    // Entries after this one were discarded by the browser
+    router.scrollPositions.delete(router.index);
+    window.history.pushState({ index: router.index }, "", toBrowserUrl(url));
+  } else if (mode === "replace") {
+    window.history.replaceState({ index: router.index }, "", toBrowserUrl(url));
+  } else if (mode === "pop") {
+    router.index = targetIndex;
   }
 }
 
 /**
- * Hides the global loading indicator element if present.
+ * Reads the window scroll position.
+ *
+ * @returns {{ x: number, y: number }} Scroll offsets.
+ */
+function getScrollPosition() {
+  return { x: window.scrollX, y: window.scrollY };
+}
+
+/**
+ * Scrolls after a navigation: back/forward and reloads restore the saved position,
+ * otherwise the `#fragment` target or the top of the page is shown.
+ *
+ * @param {"initial"|"push"|"replace"|"pop"} mode - Navigation mode.
+ * @param {string} hash - Fragment of the route URL, without `#`.
  * @returns {void}
  */
-function hideLoadingState() {
-  const loadingEl = document.getElementById("loading");
-  if (loadingEl) {
-    loadingEl.style.display = "none";
+function restoreScroll(mode, hash) {
+  const saved =
+    mode === "pop" || mode === "initial"
+      ? router.scrollPositions.get(router.index) ?? window.history.state?.scroll
+      : null;
+  if (saved) {
+    window.scrollTo(saved.x, saved.y);
+    return;
+  }
+  const target = findAnchor(hash);
+  if (target) {
+    target.scrollIntoView();
+  } else if (mode !== "initial") {
+    window.scrollTo(0, 0);
+  }
+}
+
+/**
+ * Finds the element a fragment points to.
+ *
+ * @param {string} hash - Fragment without `#`.
+ * @returns {HTMLElement|null} Anchor target.
+ */
+function findAnchor(hash) {
+  if (!hash) return null;
+  let id = hash;
+  try {
+    id = decodeURIComponent(hash);
+  } catch {
+    // Malformed escape (e.g. "%E0%A4%A"): look the raw fragment up
   }
+  return document.getElementById(id) ?? document.getElementsByName(id)[0] ?? null;
 }
 
-// Update active navigation
 /**
- * Updates navigation buttons by toggling the `active` class matching the current route name.
+ * Moves focus to the new view (the fragment target, its first heading, or its container)
+ * and announces the route change to screen readers.
  *
- * @param {string} route - Current route name.
+ * @param {HTMLElement|undefined} container - Element the navigation rendered into.
+ * @param {string} hash - Fragment of the route URL, without `#`.
  * @returns {void}
  */
-function updateActiveNav(route) {
-  document.querySelectorAll(".nav-btn").forEach((btn) => {
-    btn.classList.toggle("active", btn.dataset.view === route);
+function focusView(container, hash) {
+  if (!container) return;
+  const heading = container.querySelector("h1, h2, h3");
+  focusElement(findAnchor(hash) ?? heading ?? container);
+  announce(heading?.textContent.trim() || document.title);
+}
+
+/**
+ * Focuses an element without scrolling, making it focusable by script if needed.
+ *
+ * @param {HTMLElement} element - Element to focus.
+ * @returns {void}
+ */
+function focusElement(element) {
+  if (!element.hasAttribute("tabindex") && element.tabIndex < 0) {
+    // Headings and regions get focus without joining the tab order
+    element.setAttribute("tabindex", "-1");
+  }
+  element.focus({ preventScroll: true });
+}
+
+/**
+ * Announces a message through a polite live region, created on first use.
+ *
+ * @param {string} message - Text for screen readers.
+ * @returns {void}
+ */
+function announce(message) {
+  let region = document.getElementById("route-announcer");
+  if (!region) {
+    region = h("div", {
+      id: "route-announcer",
+      class: "visually-hidden",
+      "aria-live": "polite",
+      "aria-atomic": "true",
+    });
+    document.body.appendChild(region);
+  }
+  // Clear first so repeating the same text is announced again
+  region.textContent = "";
+  requestAnimationFrame(() => {
+    region.textContent = message;
   });
 }
 
+/**
+ * Counts the leading route levels a navigation can keep. A level is kept when it is the
+ * same record with the same params; the deepest level always renders again so it sees
+ * the new params and query.
+ *
+ * @param {Array<RouteLevel & { params: Record<string, string> }>} fromChain - Levels currently rendered.
+ * @param {RouteLevel[]} chain - Levels of the target route.
+ * @param {RouteContext} to - Target route.
+ * @returns {number} Number of levels kept alive.
+ */
+function countSharedLevels(fromChain, chain, to) {
+  let shared = 0;
+  while (
+    shared < chain.length - 1 &&
+    shared < fromChain.length &&
+    fromChain[shared].record === chain[shared].record &&
+    chain[shared].keys.every((key) => fromChain[shared].params[key] === to.params[key])
+  ) {
+    shared += 1;
+  }
+  return shared;
+}
+
+/**
+ * Lists the leave guards registered by route levels at or below a depth.
+ *
+ * @param {number} depth - Shallowest level to include.
+ * @returns {NavigationGuard[]} Guards.
+ */
+function leaveGuardsFrom(depth) {
+  return [...router.leaveGuards]
+    .filter(([, level]) => level >= depth)
+    .map(([guard]) => guard);
+}
+
+// Handle async route loading with loading state
+/**
+ * Handles a route transition with loading state and navigation updates.
+ * Renders the route levels from `start` down, each into the outlet of the level above,
+ * recording each rendered level in `router.chain`. Stops once `route.signal` is aborted.
+ *
+ * @param {RouteLevel[]} chain - Levels of the route being navigated to.
+ * @param {number} start - First level to render; levels above it are kept.
+ * @param {RouteContext} route - The route being navigated to.
+ * @returns {Promise<void>} Resolves when the handlers complete.
+ */
+async function handleRouteAsync(chain, start, route) {
+  let depth = start;
+  try {
+    for (; depth < chain.length; depth += 1) {
+      if (route.signal.aborted) return;
+      const container =
+        depth === 0 ? document.getElementById("main-content") : router.outlets[depth];
+      router.outlets.length = depth + 1;
+      router.outlets[depth] = container;
+      router.depth = depth;
+      // This level and the ones below it are being replaced
+      router.chain = router.chain.slice(0, depth);
+      // Unmount their views (awaiting onUnmount) before the new handler renders
+      if (container) await unmountViewsIn(container);
+      disposeLevelScopes(depth);
+      if (route.signal.aborted) return;
+
+      // Execute route handler (could be sync or async), with a loading component if it is slow
+      const loading = scheduleLoading(chain[depth].record, container, route);
+      try {
+        await runHandler(chain[depth].record.handler, depth, {
+          ...route,
+          container,
+          hasChild: depth < chain.length - 1,
+        });
+      } finally {
+        await loading.settle();
+      }
+      if (route.signal.aborted) return;
+      router.chain.push({ ...chain[depth], params: route.params });
+
+      if (depth < chain.length - 1) {
+        const outlet = container?.querySelector("[data-router-outlet]");
+        if (!outlet) {
+          throw new Error(
+            `Route "${route.name}" has child routes but its view renders no data-router-outlet element.`
+          );
+        }
+        router.outlets[depth + 1] = outlet;
+      }
+    }
+  } catch (error) {
+    // Errors of a superseded navigation (e.g. an aborted fetch) are not shown
+    if (route.signal.aborted) return;
+    reportError(error, { source: "route", route: route.name });
+    await showRouteError(error, { ...route, container: router.outlets[depth] }, depth);
+  }
+}
+
+/**
+ * Runs a route handler in a scope owned by its level, so what it creates synchronously
+ * (bindings, subscriptions, `on()` delegations) is disposed when the level is left.
+ * Lazy routes render in the same scope once their module is imported. Views made with
+ * `createView` manage their own scope as well.
+ *
+ * @param {RouteHandler} handler - Route handler.
+ * @param {number} depth - Level the handler renders.
+ * @param {RouteContext} context - Context passed to the handler.
+ * @returns {Promise<void>}
+ */
+async function runHandler(handler, depth, context) {
+  const scope = createScope();
+  router.scopes[depth] = scope;
+  handlerScopes.set(context, scope);
+  await scope.run(() => handler(context));
+  scope.mount();
+}
+
+/**
+ * Disposes the handler scopes of a level and the levels below it, deepest first.
+ *
+ * @param {number} depth - First level to dispose.
+ * @returns {void}
+ */
+function disposeLevelScopes(depth) {
+  router.scopes
+    .splice(depth)
+    .reverse()
+    .forEach((scope) => scope?.dispose());
+}
+
+/**
+ * Replaces every rendered level with the error route, for a navigation that failed before
+ * any of its levels could render (e.g. a redirect loop).
+ *
+ * @param {Error} error - Why the navigation failed.
+ * @param {RouteContext} route - Route that was being navigated to.
+ * @returns {Promise<void>}
+ */
+async function showNavigationError(error, route) {
+  reportError(error, { source: "navigation", route: route.name });
+  const container = document.getElementById("main-content");
+  if (container) await unmountViewsIn(container);
+  disposeLevelScopes(0);
+  router.leaveGuards.clear();
+  router.chain = [];
+  router.outlets = [container];
+  router.depth = 0;
+  await showRouteError(error, { ...route, container }, 0);
+}
+
+/**
+ * Renders the configured error route for a failed navigation, in place of the level that failed.
+ *
+ * @param {unknown} error - Error thrown by the route handler.
+ * @param {RouteContext} route - Route that failed, with the container of the failed level.
+ * @param {number} depth - Level that failed.
+ * @returns {Promise<void>}
+ */
+async function showRouteError(error, route, depth) {
+  const url = buildUrl(route.path, route.query);
+  const context = {
+    ...route,
+    error,
+    retry: () => navigate(url, { mode: "replace" }),
+  };
+  try {
+    // Release what the failed handler created before the error route takes its level
+    disposeLevelScopes(depth);
+    await runHandler(router.error.handler, depth, context);
+  } catch (renderError) {
+    reportError(renderError, { source: "errorRoute", route: route.name });
+  }
+}
+
+/**
+ * Default `notFound` route: explains that nothing matches the path.
+ *
+ * @param {RouteContext} route - Unmatched route.
+ * @returns {void}
+ */
+function renderNotFound(route) {
+  mount(
+    route.container ?? document.getElementById("main-content"),
+    h("div", { class: "page-content route-status" }, [
+      h("h1", {}, "Page not found"),
+      h("p", {}, ["Nothing lives at ", h("code", {}, `/${route.path}`), "."]),
+      h("a", { class: "btn btn-primary", href: routeHref("home") }, "Go home"),
+    ])
+  );
+}
+
+/**
+ * Default `error` route: shows the failing path, the error and a retry button.
+ *
+ * @param {RouteContext} route - Failed route with `error` and `retry`.
+ * @returns {void}
+ */
+function renderRouteError(route) {
+  const { error } = route;
+  mount(
+    route.container ?? document.getElementById("main-content"),
+    h("div", { class: "page-content route-status" }, [
+      h("h1", {}, "Something went wrong"),
+      h("p", {}, ["Could not load ", h("code", {}, `/${route.path}`), "."]),
+      h("details", { class: "route-error-details" }, [
+        h("summary", {}, error instanceof Error ? error.message : String(error)),
+        error instanceof Error && error.stack && h("pre", {}, error.stack),
+      ]),
+      h("div", { class: "button-group" }, [
+        h("button", { class: "btn btn-primary", onclick: () => route.retry() }, "Try again"),
+        h("a", { class: "btn btn-secondary", href: routeHref("home") }, "Go home"),
+      ]),
+    ])
+  );
+}
+
+/**
+ * Schedules a route level's loading component. It replaces the level's container after
+ * `loadingDelay` (so fast or cached views never show it) and, once shown, stays for at
+ * least `loadingMinDuration` to avoid flicker. The new content renders into the hidden
+ * container meanwhile. A superseded navigation removes it right away.
+ *
+ * @param {RouteRecord} record - Route level being rendered.
+ * @param {HTMLElement} container - Element the level renders into.
+ * @param {RouteContext} route - Route being navigated to.
+ * @returns {{ settle: () => Promise<void> }} Call `settle()` once the handler is done.
+ */
+function scheduleLoading(record, container, route) {
+  const component = record.loading ?? router.options.loading;
+  if (typeof component !== "function" || !container?.parentNode) {
+    return { settle: () => Promise.resolve() };
+  }
+
+  const {
+    loadingDelay = DEFAULT_LOADING_DELAY,
+    loadingMinDuration = DEFAULT_LOADING_MIN_DURATION,
+  } = router.options;
+  let placeholder = null;
+  let shownAt = 0;
+  let previousDisplay = "";
+
+  const timer = setTimeout(() => {
+    if (route.signal.aborted) return;
+    placeholder = component(route);
+    previousDisplay = container.style.display;
+    container.style.display = "none";
+    container.before(placeholder);
+    shownAt = Date.now();
+  }, loadingDelay);
+
+  const remove = () => {
+    clearTimeout(timer);
+    if (!placeholder) return;
+    placeholder.remove();
+    placeholder = null;
+    container.style.display = previousDisplay;
+  };
+  route.signal.addEventListener("abort", remove, { once: true });
+
+  return {
+    async settle() {
+      clearTimeout(timer);
+      const remaining = shownAt + loadingMinDuration - Date.now();
+      if (placeholder && remaining > 0) {
+        await new Promise((resolve) => setTimeout(resolve, remaining));
+      }
+      remove();
+      route.signal.removeEventListener("abort", remove);
+    },
+  };
+}
+
+/**
+ * Applies route metadata after a navigation: document title, meta description and the
+ * route store. Titles and descriptions come from the deepest route level defining them.
+ *
+ * @param {RouteLevel[]} chain - Levels of the route.
+ * @param {RouteContext} route - Route that was rendered.
+ * @returns {void}
+ */
+function applyRouteMeta(chain, route) {
+  const pick = (name) => {
+    for (let i = chain.length - 1; i >= 0; i--) {
+      const value = chain[i].record[name];
+      if (value != null) return typeof value === "function" ? value(route) : value;
+    }
+    return null;
+  };
+  const title = pick("title");
+  const description = pick("description") ?? router.defaultDescription;
+
+  document.title = title ? formatTitle(title) : router.defaultTitle;
+  let descriptionMeta = getDescriptionMeta();
+  if (description != null) {
+    if (!descriptionMeta) {
+      descriptionMeta = h("meta", { name: "description" });
+      document.head.appendChild(descriptionMeta);
+    }
+    descriptionMeta.setAttribute("content", description);
+  } else {
+    descriptionMeta?.remove();
+  }
+
+  const { name, path, params, query, meta } = route;
+  routeState.set({ name, path, params, query, meta, title });
+}
+
+/**
+ * Formats a route title with the `titleTemplate` option.
+ *
+ * @param {string} title - Route title.
+ * @returns {string} Document title.
+ */
+function formatTitle(title) {
+  const template = router.options.titleTemplate ?? `%s | ${router.defaultTitle}`;
+  return typeof template === "function" ? template(title) : template.replace("%s", title);
+}
+
+/**
+ * Finds the page's `<meta name="description">` element.
+ *
+ * @returns {HTMLMetaElement|null} Meta element.
+ */
+function getDescriptionMeta() {
+  return document.head.querySelector('meta[name="description"]');
+}
+
 // Navigate to a specific route
 /**
- * Navigates to a route using the History API (pushState).
+ * Navigates to a route using the History API (pushState), respecting the router mode and base path.
+ * Accepts a route name or a path with params and query string.
  *
- * @param {string} route - Route name to navigate to.
+ * @param {string} route - Route to navigate to, e.g. `"about"`, `"tasks/42"`, `"/table?sort=name"`.
+ * @param {Record<string, string|number|boolean|Array<string|number>>} [query] - Extra query params to append.
  * @returns {void}
+ * @example
+ * navigateTo("tasks/42");
+ * navigateTo("table", { sort: "name", dir: "desc" });
  */
-export function navigateTo(route) {
-  const path = route === "home" ? "/" : `/${route}`;
-  if (window.location.pathname !== path) {
-    window.history.pushState({}, "", path);
+export function navigateTo(route, query) {
+  const url = buildUrl(route, query);
+  if (router) {
+    if (getCurrentUrl() === url) return;
+    navigate(url, { mode: "push" });
+  } else {
+    if (window.location.pathname + window.location.search === url) return;
+    window.history.pushState({}, "", url);
     window.dispatchEvent(new Event("popstate"));
   }
 }
+
+/**
+ * Builds the `href` for a link to a route, including the base path (or `#` in hash mode).
+ * Links built this way also work when opened in a new tab.
+ *
+ * @param {string} route - Route name or path, e.g. `"tasks/42"`.
+ * @param {Record<string, string|number|boolean|Array<string|number>>} [query] - Query params to append.
+ * @returns {string} Link href.
+ * @example
+ * h("a", { href: routeHref("tasks/42") }, "Open task"); // "/app/tasks/42" or "#/tasks/42"
+ */
+export function routeHref(route, query) {
+  const url = buildUrl(route, query);
+  return router ? toBrowserUrl(url) : url;
+}
+
+/**
+ * Builds the route URL for a route name or path plus optional query params.
+ *
+ * @param {string} route - Route name or path.
+ * @param {Record<string, unknown>} [query] - Query params to append.
+ * @returns {string} URL path with query string.
+ */
+function buildUrl(route, query) {
+  const [withoutHash, ...hashParts] = route.split("#");
+  const hash = hashParts.length > 0 ? `#${hashParts.join("#")}` : "";
+  const [rawPath, rawSearch = ""] = withoutHash.split("?");
+  const trimmed = rawPath.replace(/^\/+|\/+$/g, "");
+  const path = trimmed === "" || trimmed === "home" ? "/" : `/${trimmed}`;
+  const params = new URLSearchParams(rawSearch);
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value == null) return;
+    [].concat(value).forEach((item) => params.append(key, String(item)));
+  });
+  const search = params.toString();
+  return (search ? `${path}?${search}` : path) + hash;
+}
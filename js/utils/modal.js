@@ -1,7 +1,23 @@
+import { enter, leave } from "../lib/transition.js";
+
 // Modal utility functions
-export function showModal(content) {
+
+// Transition name used when none is given (see the `.modal-enter-*` / `.modal-leave-*` styles)
+const DEFAULT_TRANSITION = "modal";
+// Incremented on every open/close so a finishing leave doesn't hide a reopened modal
+let modalVersion = 0;
+
+/**
+ * Opens the modal with the given content.
+ *
+ * @param {Node|string} content - Node or HTML string shown in the modal body.
+ * @param {{ transition?: string|false }} [options] - Transition name, or `false` to open instantly.
+ * @returns {Promise<void>} Resolves once the enter transition ends.
+ */
+export function showModal(content, { transition = DEFAULT_TRANSITION } = {}) {
   const modal = document.getElementById("modal");
   const modalBody = document.getElementById("modal-body");
+  modalVersion += 1;
 
   if (content instanceof Node) {
     modalBody.replaceChildren(content);
@@ -16,10 +32,26 @@ export function showModal(content) {
   if (firstInput) {
     firstInput.focus();
   }
+
+  return transition ? enter(modal, transition) : Promise.resolve();
 }
 
-export function closeModal() {
+/**
+ * Closes the modal, after its leave transition.
+ *
+ * @param {{ transition?: string|false }} [options] - Transition name, or `false` to close instantly.
+ * @returns {Promise<void>} Resolves once the modal is hidden.
+ */
+export async function closeModal({ transition = DEFAULT_TRANSITION } = {}) {
   const modal = document.getElementById("modal");
+  if (modal.style.display !== "flex") return;
+  const version = (modalVersion += 1);
+
+  if (transition) {
+    await leave(modal, transition);
+    // Reopened while leaving
+    if (version !== modalVersion) return;
+  }
   modal.style.display = "none";
   document.body.style.overflow = ""; // Re-enable scrolling
 }
@@ -0,0 +1,53 @@
+import { h } from "../lib/h.js";
+
+const DEFAULT_DURATION = 5000;
+
+// Toast container, created on first use
+function getToastRegion() {
+  let region = document.getElementById("toast-region");
+  if (!region) {
+    region = h("div", {
+      id: "toast-region",
+      class: "toast-region",
+      role: "status",
+      "aria-live": "polite",
+    });
+    document.body.appendChild(region);
+  }
+  return region;
+}
+
+// Show a short message with an optional action button (e.g. "Undo").
+// Returns a function that dismisses the toast early.
+export function showToast(
+  message,
+  { actionLabel, onAction, duration = DEFAULT_DURATION } = {}
+) {
+  let timer = null;
+
+  const dismiss = () => {
+    clearTimeout(timer);
+    toast.remove();
+  };
+
+  const toast = h("div", { class: "toast" }, [
+    h("span", { class: "toast-message" }, message),
+    actionLabel &&
+      typeof onAction === "function" &&
+      h(
+        "button",
+        {
+          class: "btn btn-sm btn-secondary toast-action",
+          onclick: () => {
+            dismiss();
+            onAction();
+          },
+        },
+        actionLabel
+      ),
+  ]);
+
+  getToastRegion().appendChild(toast);
+  timer = setTimeout(dismiss, duration);
+  return dismiss;
+}
@@ -12,10 +12,7 @@ const aboutStore = createStore({
   ],
 });
 
-export function renderAbout() {
-  const state = aboutStore.get();
-  const currentFeature = state.features[state.featureIndex];
-
+export function renderAbout(route) {
   const content = h("div", { class: "page-content" }, [
     h("h1", {}, "About This Vite-Powered Framework"),
 
@@ -29,13 +26,10 @@ export function renderAbout() {
       h("div", { class: "feature-showcase" }, [
         h("h3", {}, [
           "Current feature: ",
-          h.link(aboutStore, "features", {
-            format(value, fullState) {
-              const features = Array.isArray(value) ? value : [];
-              const index = fullState.featureIndex ?? 0;
-              return features[index] ?? "";
-            },
-          }),
+          h.link(
+            aboutStore,
+            (s) => s.features[s.featureIndex] ?? ""
+          ),
         ]),
         h("div", { class: "button-group" }, [
           h(
@@ -43,9 +37,10 @@ export function renderAbout() {
             {
               class: "btn btn-primary",
               onclick: () => {
-                const nextIndex =
-                  (state.featureIndex + 1) % state.features.length;
-                aboutStore.set((s) => ({ ...s, featureIndex: nextIndex }));
+                aboutStore.set((s) => ({
+                  ...s,
+                  featureIndex: (s.featureIndex + 1) % s.features.length,
+                }));
               },
             },
             "Next feature"
@@ -106,5 +101,5 @@ export function renderAbout() {
     ]),
   ]);
 
-  mount(document.getElementById("main-content"), content);
+  mount(route?.container ?? document.getElementById("main-content"), content);
 }
@@ -84,7 +84,7 @@ function renderCounterCard(state) {
   ]);
 }
 
-export function renderHome() {
+export function renderHome(route) {
   const state = homeStore.get();
 
   const content = h("div", { class: "page-content" }, [
@@ -132,7 +132,7 @@ export function renderHome() {
     ]),
   ]);
 
-  mount(document.getElementById("main-content"), content);
+  mount(route?.container ?? document.getElementById("main-content"), content);
   // renderCounterSection();
 }
 
@@ -1,5 +1,6 @@
-import { h, createStore } from "../lib/h.js";
+import { h, createStore, computed } from "../lib/h.js";
 import { createView } from "../lib/lifecycle.js";
+import { persist } from "../lib/persist.js";
 
 /**
  * @typedef {Object} TableRow
@@ -74,10 +75,25 @@ const tableStore = createStore({
   sortKey: "name",
   sortDirection: "asc",
   rows: rawRows,
-  sortedRows: [],
-  sortState: "name:asc", // Combined state for reactive bindings
 });
 
+// Remember the chosen sort between visits
+persist(tableStore, {
+  key: "table-sort",
+  include: ["sortKey", "sortDirection"],
+});
+
+/**
+ * Derived, read-only view of the table: sorted rows plus a combined sort
+ * descriptor that changes whenever either the key or the direction does.
+ */
+const sortedTable = computed(tableStore, (state) => ({
+  sortKey: state.sortKey,
+  sortDirection: state.sortDirection,
+  sortState: `${state.sortKey}:${state.sortDirection}`,
+  sortedRows: getSortedRows(state.rows, state.sortKey, state.sortDirection),
+}));
+
 /**
  * Column metadata used to render header cells and sorting controls.
  * @type {{ key: keyof TableRow, label: string }[]}
@@ -91,7 +107,7 @@ const columnDefinitions = [
 ];
 
 /**
- * Toggles sorting for a given column key and updates sortedRows.
+ * Toggles sorting for a given column key.
  * @param {keyof TableRow} columnKey - Column to sort by.
  * @returns {void}
  */
@@ -101,13 +117,9 @@ function handleSortChange(columnKey) {
   const nextDirection =
     isSameColumn && state.sortDirection === "asc" ? "desc" : "asc";
 
-  const sortedRows = getSortedRows(state.rows, columnKey, nextDirection);
-
   tableStore.update(() => ({
     sortKey: columnKey,
     sortDirection: nextDirection,
-    sortedRows,
-    sortState: `${columnKey}:${nextDirection}`, // Update combined state
   }));
 }
 
@@ -129,7 +141,7 @@ function renderTableBody() {
           h("td", {}, row.status),
           h("td", {}, row.joinedOn),
         ]),
-      { store: tableStore }
+      { store: sortedTable }
     )
   );
 }
@@ -150,7 +162,7 @@ function renderSortButton(columnKey, label) {
     [
       label,
       " ",
-      h.link(tableStore, "sortState", {
+      h.link(sortedTable, "sortState", {
         format(sortState, state) {
           const isActive = state.sortKey === columnKey;
           if (!isActive) return "↕";
@@ -174,7 +186,21 @@ function buildTableElement() {
         "tr",
         {},
         h.map(columnDefinitions, (column) =>
-          h("th", { scope: "col" }, renderSortButton(column.key, column.label))
+          h(
+            "th",
+            {
+              scope: "col",
+              "aria-sort": h.link(sortedTable, "sortState", {
+                format(sortState, state) {
+                  if (state.sortKey !== column.key) return null;
+                  return state.sortDirection === "asc"
+                    ? "ascending"
+                    : "descending";
+                },
+              }),
+            },
+            renderSortButton(column.key, column.label)
+          )
         )
       )
     ),
@@ -187,24 +213,20 @@ function buildTableElement() {
  * Uses lifecycle hooks to ensure proper initialization.
  */
 export const renderTable = createView("table", {
+  transition: "fade",
+
   /**
-   * Initialize sortedRows before rendering.
+   * Apply a sort requested through the query string (`/table?sort=role&dir=desc`).
+   * @param {import("../router.js").RouteContext} [route] - Current route.
    * @returns {void}
    */
-  onInit() {
-    const state = tableStore.get();
-    // Ensure sortedRows is populated
-    if (!state.sortedRows || state.sortedRows.length === 0) {
-      const sortedRows = getSortedRows(
-        state.rows,
-        state.sortKey,
-        state.sortDirection
-      );
-      tableStore.update(() => ({
-        sortedRows,
-        sortState: `${state.sortKey}:${state.sortDirection}`,
-      }));
-    }
+  onInit(route) {
+    const { sort, dir } = route?.query ?? {};
+    if (!columnDefinitions.some((column) => column.key === sort)) return;
+    tableStore.update(() => ({
+      sortKey: sort,
+      sortDirection: dir === "desc" ? "desc" : "asc",
+    }));
   },
 
   /**
@@ -215,6 +237,22 @@ export const renderTable = createView("table", {
     console.log("✅ Table view mounted with reactive bindings");
   },
 
+  /**
+   * Shown instead of the table if it fails to render or update.
+   * @param {unknown} error - Error thrown by the view.
+   * @param {() => Promise<void>} reset - Renders the view again.
+   * @returns {HTMLElement}
+   */
+  fallback(error, reset) {
+    return h("div", { class: "page-content route-status" }, [
+      h("h1", {}, "Team Directory is unavailable"),
+      h("p", {}, error instanceof Error ? error.message : String(error)),
+      h("div", { class: "button-group" }, [
+        h("button", { class: "btn btn-primary", onclick: () => reset() }, "Try again"),
+      ]),
+    ]);
+  },
+
   /**
    * Render the table view content.
    * @returns {HTMLElement}
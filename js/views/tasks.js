@@ -1,5 +1,8 @@
 import { h, mount, createStore } from "../lib/h.js";
 import { Card, SimpleCard } from "../components/Card.js";
+import { showToast } from "../utils/toast.js";
+import { persist } from "../lib/persist.js";
+import { onBeforeLeave, routeHref } from "../router.js";
 
 // Local store for tasks
 const tasksStore = createStore({
@@ -47,61 +50,93 @@ const tasksStore = createStore({
   ],
   filter: "all", // all, pending, in-progress, completed
   nextId: 6
+}, {
+  actions: { toggleTaskStatus, deleteTask, restoreTask, addTask, setFilter },
+  middleware: [validateNewTask],
+  // Coalesce consecutive actions into a single re-render
+  schedule: "microtask"
+});
+
+// Keep tasks and the active filter across reloads
+persist(tasksStore, {
+  key: "tasks",
+  version: 1,
+  include: ["tasks", "nextId", "filter"],
+  migrate: (state) => ({
+    ...state,
+    tasks: (state.tasks || []).map(task => ({ status: "pending", priority: "medium", ...task }))
+  })
 });
 
 /**
  * Toggle task status between pending -> in-progress -> completed -> pending
+ * @param {Object} state - Current store state
  * @param {number} taskId - ID of the task to toggle
+ * @returns {Object} Next store state
  */
-function toggleTaskStatus(taskId) {
-  tasksStore.set(state => {
-    const tasks = state.tasks.map(task => {
-      if (task.id === taskId) {
-        let newStatus;
-        switch (task.status) {
-          case "pending":
-            newStatus = "in-progress";
-            break;
-          case "in-progress":
-            newStatus = "completed";
-            break;
-          case "completed":
-            newStatus = "pending";
-            break;
-          default:
-            newStatus = "pending";
-        }
-        return { ...task, status: newStatus };
+function toggleTaskStatus(state, taskId) {
+  const tasks = state.tasks.map(task => {
+    if (task.id === taskId) {
+      let newStatus;
+      switch (task.status) {
+        case "pending":
+          newStatus = "in-progress";
+          break;
+        case "in-progress":
+          newStatus = "completed";
+          break;
+        case "completed":
+          newStatus = "pending";
+          break;
+        default:
+          newStatus = "pending";
       }
-      return task;
-    });
-    return { ...state, tasks };
+      return { ...task, status: newStatus };
+    }
+    return task;
   });
+  return { ...state, tasks };
 }
 
 /**
  * Delete a task by ID
+ * @param {Object} state - Current store state
  * @param {number} taskId - ID of the task to delete
+ * @returns {Object} Next store state
  */
-function deleteTask(taskId) {
-  if (confirm("Are you sure you want to delete this task?")) {
-    tasksStore.set(state => ({
-      ...state,
-      tasks: state.tasks.filter(task => task.id !== taskId)
-    }));
-  }
+function deleteTask(state, taskId) {
+  return {
+    ...state,
+    tasks: state.tasks.filter(task => task.id !== taskId)
+  };
+}
+
+/**
+ * Put a deleted task back at its previous position
+ * @param {Object} state - Current store state
+ * @param {Object} payload - Deleted task and where it was
+ * @param {Object} payload.task - Task removed by `deleteTask`
+ * @param {number} payload.index - Its index before the delete
+ * @returns {Object} Next store state
+ */
+function restoreTask(state, { task, index }) {
+  if (state.tasks.some(existing => existing.id === task.id)) return state;
+  const tasks = [...state.tasks];
+  tasks.splice(Math.min(index, tasks.length), 0, task);
+  return { ...state, tasks };
 }
 
 /**
  * Add a new task
- * @param {string} title - Task title
- * @param {string} description - Task description
- * @param {string} priority - Task priority
+ * @param {Object} state - Current store state
+ * @param {Object} payload - New task fields
+ * @param {string} payload.title - Task title
+ * @param {string} [payload.description] - Task description
+ * @param {string} [payload.priority] - Task priority
+ * @returns {Object} Next store state
  */
-function addTask(title, description, priority = "medium") {
-  if (!title.trim()) return;
-  
-  tasksStore.set(state => ({
+function addTask(state, { title, description = "", priority = "medium" }) {
+  return {
     ...state,
     tasks: [
       ...state.tasks,
@@ -115,15 +150,44 @@ function addTask(title, description, priority = "medium") {
       }
     ],
     nextId: state.nextId + 1
-  }));
+  };
 }
 
 /**
  * Set the current filter
+ * @param {Object} state - Current store state
  * @param {string} filter - Filter type (all, pending, in-progress, completed)
+ * @returns {Object} Next store state
+ */
+function setFilter(state, filter) {
+  return { ...state, filter };
+}
+
+/**
+ * Middleware that drops `addTask` actions without a title
+ * @param {{ type: string, payload: any }} action - Dispatched action
+ * @param {Function} next - Continues the dispatch pipeline
+ * @returns {Object|undefined} Next store state, or undefined when rejected
  */
-function setFilter(filter) {
-  tasksStore.set(state => ({ ...state, filter }));
+function validateNewTask(action, next) {
+  if (action.type === "addTask" && !action.payload?.title?.trim()) return undefined;
+  return next(action);
+}
+
+/**
+ * Delete the task and offer to undo it from a toast
+ * @param {number} taskId - ID of the task to delete
+ */
+function deleteTaskWithUndo(taskId) {
+  const index = tasksStore.get().tasks.findIndex(task => task.id === taskId);
+  if (index === -1) return;
+  const task = tasksStore.get().tasks[index];
+  tasksStore.dispatch("deleteTask", taskId);
+  // Restore this task specifically: other changes may have been made since
+  showToast("Task deleted", {
+    actionLabel: "Undo",
+    onAction: () => tasksStore.dispatch("restoreTask", { task, index })
+  });
 }
 
 /**
@@ -150,9 +214,9 @@ function createAddTaskForm() {
       }),
     ]),
     h("div", { class: "form-group" }, [
-      h("select", { id: "task-priority", class: "form-input" }, [
+      h("select", { id: "task-priority", class: "form-input", value: "medium" }, [
         h("option", { value: "low" }, "Low Priority"),
-        h("option", { value: "medium", selected: true }, "Medium Priority"),
+        h("option", { value: "medium" }, "Medium Priority"),
         h("option", { value: "high" }, "High Priority")
       ])
     ]),
@@ -163,7 +227,7 @@ function createAddTaskForm() {
         const description = document.getElementById("task-description").value;
         const priority = document.getElementById("task-priority").value;
         
-        addTask(title, description, priority);
+        tasksStore.dispatch("addTask", { title, description, priority });
         
         // Clear form
         document.getElementById("task-title").value = "";
@@ -175,11 +239,10 @@ function createAddTaskForm() {
 }
 
 /**
- * Create filter buttons
- * @param {string} currentFilter - Currently active filter
+ * Create filter buttons whose active state follows the store filter
  * @returns {HTMLElement} Filter buttons container
  */
-function createFilterButtons(currentFilter) {
+function createFilterButtons() {
   const filters = [
     { key: "all", label: "All Tasks" },
     { key: "pending", label: "Pending" },
@@ -192,8 +255,13 @@ function createFilterButtons(currentFilter) {
     h("div", { class: "button-group" }, 
       filters.map(filter => 
         h("button", {
-          class: `btn btn-sm ${currentFilter === filter.key ? 'btn-primary' : 'btn-secondary'}`,
-          onclick: () => setFilter(filter.key)
+          class: h.link(tasksStore, "filter", {
+            format: (current) => `btn btn-sm ${current === filter.key ? 'btn-primary' : 'btn-secondary'}`
+          }),
+          "aria-pressed": h.link(tasksStore, "filter", {
+            format: (current) => current === filter.key
+          }),
+          onclick: () => tasksStore.dispatch("setFilter", filter.key)
         }, filter.label)
       )
     )
@@ -212,50 +280,107 @@ function filterTasks(tasks, filter) {
 }
 
 /**
- * Create task statistics
- * @param {Array} tasks - All tasks
+ * Create task statistics that follow the store
  * @returns {HTMLElement} Statistics element
  */
-function createTaskStats(tasks) {
-  const stats = tasks.reduce((acc, task) => {
-    acc[task.status] = (acc[task.status] || 0) + 1;
-    return acc;
-  }, {});
-
-  const total = tasks.length;
-  const completed = stats.completed || 0;
-  const inProgress = stats["in-progress"] || 0;
-  const pending = stats.pending || 0;
+function createTaskStats() {
+  const countByStatus = (status) => (state) =>
+    state.tasks.filter(task => task.status === status).length;
+  const stat = (label, count) =>
+    h("div", { class: "stat-item" }, [
+      h("span", { class: "stat-number" }, h.link(tasksStore, count)),
+      h("span", { class: "stat-label" }, label)
+    ]);
 
   return h("div", { class: "task-stats" }, [
     h("h4", {}, "Task Statistics"),
     h("div", { class: "stats-grid" }, [
-      h("div", { class: "stat-item" }, [
-        h("span", { class: "stat-number" }, total),
-        h("span", { class: "stat-label" }, "Total")
-      ]),
-      h("div", { class: "stat-item" }, [
-        h("span", { class: "stat-number" }, completed),
-        h("span", { class: "stat-label" }, "Completed")
-      ]),
-      h("div", { class: "stat-item" }, [
-        h("span", { class: "stat-number" }, inProgress),
-        h("span", { class: "stat-label" }, "In Progress")
-      ]),
-      h("div", { class: "stat-item" }, [
-        h("span", { class: "stat-number" }, pending),
-        h("span", { class: "stat-label" }, "Pending")
-      ])
+      stat("Total", (state) => state.tasks.length),
+      stat("Completed", countByStatus("completed")),
+      stat("In Progress", countByStatus("in-progress")),
+      stat("Pending", countByStatus("pending"))
     ])
   ]);
 }
 
 /**
- * Render the tasks view
+ * Create the card of a task
+ * @param {Object} task - Task to show
+ * @returns {HTMLElement} Task card
  */
-export function renderTasks() {
-  const state = tasksStore.get();
-  const filteredTasks = filterTasks(state.tasks, state.filter);
+function createTaskCard(task) {
+  return Card({
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    priority: task.priority,
+    createdAt: task.createdAt,
+    onToggleStatus: () => tasksStore.dispatch("toggleTaskStatus", task.id),
+    onDelete: () => deleteTaskWithUndo(task.id)
+  });
+}
+
+/**
+ * Create the list of tasks matching the current filter
+ * @returns {HTMLElement} Tasks section
+ */
+function createTaskList() {
+  const visibleTasks = (state) => filterTasks(state.tasks, state.filter);
+
+  return h("div", { class: "tasks-section" }, [
+    h("h2", {}, h.link(tasksStore, (state) => {
+      const label = state.filter === 'all' ? 'Total' : state.filter.charAt(0).toUpperCase() + state.filter.slice(1);
+      return `${visibleTasks(state).length} ${label} Tasks`;
+    })),
+    h("p", {
+      class: "no-tasks",
+      hidden: h.link(tasksStore, (state) => visibleTasks(state).length > 0)
+    }, h.link(tasksStore, (state) => `No ${state.filter === 'all' ? '' : state.filter + ' '}tasks found.`)),
+    // Keyed by id: only the cards of changed tasks are rendered again
+    h("div", { class: "tasks-grid" },
+      h.map(visibleTasks, createTaskCard, { store: tasksStore, key: "id" })
+    )
+  ]);
+}
+
+/**
+ * Create the section for a single deep-linked task (`/tasks/:id`)
+ * @param {string} taskId - ID from the route params
+ * @returns {HTMLElement} Task detail section
+ */
+function createTaskDetail(taskId) {
+  const findTask = (state) => state.tasks.find(item => String(item.id) === taskId);
+
+  return h("div", { class: "tasks-section" }, [
+    h("p", {}, h("a", { href: routeHref("tasks") }, "← All tasks")),
+    h.map((state) => {
+      const task = findTask(state);
+      return task ? [task] : [];
+    }, createTaskCard, { store: tasksStore, key: "id" }),
+    h("p", {
+      class: "no-tasks",
+      hidden: h.link(tasksStore, (state) => Boolean(findTask(state)))
+    }, `Task #${taskId} was not found.`)
+  ]);
+}
+
+/**
+ * Leave guard asking before discarding a task typed into the form
+ * @returns {boolean} Whether navigation may continue
+ */
+function confirmDiscardUnsavedTask() {
+  const title = document.getElementById("task-title");
+  if (!title || !title.value.trim()) return true;
+  return confirm("You have an unsaved task. Leave this page anyway?");
+}
+
+/**
+ * Render the tasks view. It is rendered once: the statistics and the list follow the store
+ * through bindings, so the add form keeps its focus and typed text when tasks change
+ * @param {import("../router.js").RouteContext} [route] - Current route; `params.id` shows a single task
+ */
+export function renderTasks(route) {
+  const taskId = route?.params?.id;
 
   const content = h("div", { class: "page-content" }, [
     h("h1", {}, "📋 Task Management Demo"),
@@ -283,7 +408,7 @@ export function renderTasks() {
     }),
 
     // Task statistics
-    createTaskStats(state.tasks),
+    createTaskStats(),
 
     // Add task form
     SimpleCard({
@@ -293,38 +418,13 @@ export function renderTasks() {
     }),
 
     // Filter buttons
-    createFilterButtons(state.filter),
+    createFilterButtons(),
 
-    // Tasks list
-    h("div", { class: "tasks-section" }, [
-      h("h2", {}, `${filteredTasks.length} ${state.filter === 'all' ? 'Total' : state.filter.charAt(0).toUpperCase() + state.filter.slice(1)} Tasks`),
-      
-      filteredTasks.length === 0 
-        ? h("p", { class: "no-tasks" }, `No ${state.filter === 'all' ? '' : state.filter + ' '}tasks found.`)
-        : h("div", { class: "tasks-grid" }, 
-            filteredTasks.map(task => 
-              Card({
-                title: task.title,
-                description: task.description,
-                status: task.status,
-                priority: task.priority,
-                createdAt: task.createdAt,
-                onToggleStatus: () => toggleTaskStatus(task.id),
-                onDelete: () => deleteTask(task.id)
-              })
-            )
-          )
-    ])
+    // Single task or tasks list
+    taskId ? createTaskDetail(taskId) : createTaskList()
   ]);
 
-  mount(document.getElementById("main-content"), content);
+  // The router disposes the bindings when it leaves the view
+  mount(route?.container ?? document.getElementById("main-content"), content);
+  onBeforeLeave(confirmDiscardUnsavedTask);
 }
-
-// Subscribe to store changes to re-render when tasks change
-tasksStore.subscribe(() => {
-  // Only re-render if we're currently on the tasks view
-  if (window.location.hash === '#tasks' || 
-      (window.location.hash === '' && window.location.pathname === '/tasks')) {
-    renderTasks();
-  }
-});